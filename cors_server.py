@@ -7,7 +7,11 @@ Allows SillyTavern to access voice files across origins
 import http.server
 import socketserver
 import os
-from urllib.parse import unquote
+import json
+from urllib.parse import unquote, urlparse, parse_qs
+
+VOICE_EXTENSIONS = ('.wav', '.npy')
+VOICE_MANIFEST_NAME = 'voices.json'
 
 class CORSHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
     def __init__(self, *args, **kwargs):
@@ -44,6 +48,11 @@ class CORSHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
             # Reset CORS flag for each request
             self.cors_headers_sent = False
             
+            parsed = urlparse(self.path)
+            if parsed.path == '/api/voices':
+                self.send_voice_listing(parse_qs(parsed.query).get('dir', ['assets/voices'])[0])
+                return
+
             # Send response with CORS headers
             super().do_GET()
             
@@ -54,6 +63,73 @@ class CORSHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
             self.end_headers()
             self.wfile.write(f"Server error: {e}".encode())
 
+    def send_json(self, code, payload):
+        body = json.dumps(payload).encode('utf-8')
+        self.send_response(code)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Cache-Control', 'no-store')
+        self.end_headers()
+        self.wfile.write(body)
+
+    def send_voice_listing(self, directory):
+        """List .wav/.npy voice pairs in a directory below the served root and all its subfolders as JSON.
+        Voice names are paths relative to that directory without extension, the folder is the category."""
+        root = os.path.realpath(os.getcwd())
+        relative = unquote(directory).strip('/')
+        voice_dir = os.path.realpath(os.path.join(root, relative))
+
+        if voice_dir != root and not voice_dir.startswith(root + os.sep):
+            self.send_json(403, {'error': f"'{directory}' is outside the served directory"})
+            return
+        if not os.path.isdir(voice_dir):
+            self.send_json(404, {'error': f"Voice directory '{directory}' not found on the file server"})
+            return
+
+        def describe(voice_path):
+            stat = os.stat(os.path.join(voice_dir, voice_path))
+            return {
+                'path': '/' + '/'.join(filter(None, [relative, voice_path])),
+                'size': stat.st_size,
+                'mtime': stat.st_mtime,
+            }
+
+        files = {}
+        for current, dirs, filenames in os.walk(voice_dir):
+            # Skip hidden folders and keep the listing order stable
+            dirs[:] = sorted(d for d in dirs if not d.startswith('.'))
+            folder = os.path.relpath(current, voice_dir).replace(os.sep, '/')
+            for filename in sorted(filenames):
+                name, extension = os.path.splitext(filename)
+                if extension.lower() in VOICE_EXTENSIONS + ('.json',):
+                    voice_path = filename if folder == '.' else f"{folder}/{filename}"
+                    voice_name = name if folder == '.' else f"{folder}/{name}"
+                    files.setdefault(voice_name, {})[extension.lower()] = describe(voice_path)
+
+        voices = []
+        unpaired = []
+        for name, found in files.items():
+            if '.wav' in found and '.npy' in found:
+                voices.append({
+                    'name': name,
+                    'category': name.rpartition('/')[0],
+                    'wav': found['.wav'],
+                    'npy': found['.npy'],
+                    'metadata': found.get('.json'),
+                })
+            elif '.wav' in found or '.npy' in found:
+                present, missing = ('.wav', 'npy') if '.wav' in found else ('.npy', 'wav')
+                unpaired.append({'name': name, 'path': found[present]['path'], 'missing': missing})
+
+        manifest = files.get(os.path.splitext(VOICE_MANIFEST_NAME)[0], {}).get('.json')
+        print(f"📋 Voice listing for {directory}: {len(voices)} pairs, {len(unpaired)} unpaired")
+        self.send_json(200, {
+            'directory': '/' + relative,
+            'voices': voices,
+            'unpaired': unpaired,
+            'manifest': manifest['path'] if manifest else None,
+        })
+
     def do_HEAD(self):
         """Handle HEAD requests with CORS"""
         print(f"🔍 HEAD request: {self.path}")
@@ -87,6 +163,7 @@ def main():
     print(f"📁 Serving files from: {os.getcwd()}")
     print(f"🌐 CORS-enabled file server starting on port {PORT}")
     print(f"🎯 Voice files should be accessible at: http://10.0.0.20:{PORT}/assets/voices/")
+    print(f"📋 Voice listing: http://10.0.0.20:{PORT}/api/voices?dir=/assets/voices")
     print()
     
     # Test if voice files exist
@@ -41,6 +41,7 @@ let lastMessageHash = null;
 let periodicMessageGenerationTimer = null;
 let lastPositionOfParagraphEnd = -1;
 let currentInitVoiceMapPromise = null;
+let currentTtsAbortController = null;
 
 const DEFAULT_VOICE_MARKER = '[Default Voice]';
 const DISABLED_VOICE_MARKER = 'disabled';
@@ -123,7 +124,7 @@ async function onNarrateOneMessage() {
     }
 
     resetTtsPlayback();
-    processAndQueueTtsMessage(message);
+    processAndQueueTtsMessage(message, Number(id));
     moduleWorker();
 }
 
@@ -172,6 +173,10 @@ function resetTtsPlayback() {
     // Stop system TTS utterance
     cancelTtsPlay();
 
+    // Stop any generation still running for the current job
+    currentTtsAbortController?.abort();
+    currentTtsAbortController = null;
+
     // Clear currently processing jobs
     currentTtsJob = null;
     currentAudioJob = null;
@@ -186,6 +191,8 @@ function resetTtsPlayback() {
 
     // Set audio ready to process again
     audioQueueProcessorReady = true;
+
+    $('.tts_progress_indicator').remove();
 }
 
 function isTtsProcessing() {
@@ -207,9 +214,14 @@ function isTtsProcessing() {
  * @param {Object} message - The message object to be processed.
  * @param {string} message.mes - The text of the message to be split into lines.
  * @param {string} message.name - The name associated with the message.
+ * @param {number?} [mesId] - Chat index of the message, used to show generation progress on it.
  * @returns {void}
  */
-function processAndQueueTtsMessage(message) {
+function processAndQueueTtsMessage(message, mesId = null) {
+    if (mesId !== null) {
+        message = Object.assign({}, message, { mesId });
+    }
+
     if (!extension_settings.tts.narrate_by_paragraphs) {
         ttsJobQueue.push(message);
         return;
@@ -309,32 +321,205 @@ window['tts_preview'] = function (id) {
         audio.play();
     }
     else {
-        ttsProvider.previewTtsVoice(id);
+        Promise.resolve(ttsProvider.previewTtsVoice(id)).catch(error => toastr.error(`Preview failed: ${error}`));
     }
 };
 
-async function onTtsVoicesClick() {
-    let popupText = '';
+// Icons for the file check result some providers attach to voice objects as `health`
+const VOICE_HEALTH_ICONS = {
+    ok: 'fa-circle-check',
+    warning: 'fa-triangle-exclamation',
+    error: 'fa-circle-xmark',
+};
+
+const VOICE_BROWSER_PAGE_SIZE = 50;
+
+/**
+ * Favorite voice IDs of the current provider. Kept outside the provider settings so provider saves don't drop them.
+ * @returns {string[]} Favorite voice IDs
+ */
+function getFavoriteVoices() {
+    if (!extension_settings.tts.favorite_voices) {
+        extension_settings.tts.favorite_voices = {};
+    }
+    if (!Array.isArray(extension_settings.tts.favorite_voices[ttsProviderName])) {
+        extension_settings.tts.favorite_voices[ttsProviderName] = [];
+    }
+    return extension_settings.tts.favorite_voices[ttsProviderName];
+}
+
+function toggleFavoriteVoice(voiceId) {
+    const favorites = getFavoriteVoices();
+    const index = favorites.indexOf(voiceId);
+    if (index === -1) {
+        favorites.push(voiceId);
+    } else {
+        favorites.splice(index, 1);
+    }
+    saveSettingsDebounced();
+}
+
+/**
+ * Assign a voice to a character in the voice map, as if it was picked in the character's select.
+ * @param {string} characterName Character name from the voice map
+ * @param {string} voiceName Voice name
+ */
+function assignVoiceToCharacter(characterName, voiceName) {
+    const voiceMapEntry = voiceMapEntries.find(entry => entry.name === characterName);
+    if (!voiceMapEntry) {
+        toastr.warning(`${characterName} is not in the current chat.`);
+        return;
+    }
+
+    voiceMapEntry.voiceId = voiceName;
+    voiceMapEntry.selectElement?.val(voiceName);
+    voiceMapEntry.updateMissingFlag();
+    updateVoiceMap();
+    toastr.success(`${voiceName} assigned to ${characterName}`);
+}
 
+async function onTtsVoicesClick() {
+    let voices;
     try {
-        const voiceIds = await ttsProvider.fetchTtsVoiceObjects();
-
-        for (const voice of voiceIds) {
-            popupText += `
-            <div class="voice_preview">
-                <span class="voice_lang">${voice.lang || ''}</span>
-                <b class="voice_name">${voice.name}</b>
-                <i onclick="tts_preview('${voice.voice_id}')" class="fa-solid fa-play"></i>
-            </div>`;
-            if (voice.preview_url) {
-                popupText += `<audio id="${voice.voice_id}" src="${voice.preview_url}" data-disabled="${voice.preview_url == false}"></audio>`;
-            }
-        }
+        voices = await ttsProvider.fetchTtsVoiceObjects();
     } catch {
-        popupText = 'Could not load voices list. Check your API key.';
+        callGenericPopup('Could not load voices list. Check your API key.', POPUP_TYPE.TEXT);
+        return;
     }
 
-    callGenericPopup(popupText, POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true });
+    const unique = values => values.filter(Boolean).filter(onlyUnique).sort();
+    const languages = unique(voices.map(voice => voice.lang));
+    const categories = unique(voices.map(voice => voice.category));
+    const tags = unique(voices.flatMap(voice => voice.tags ?? []));
+    const characters = voiceMapEntries.map(entry => entry.name).filter(name => name !== DEFAULT_VOICE_MARKER);
+
+    const browser = $(`
+        <div class="tts_voice_browser flex-container flexFlowColumn flexGap5">
+            <input class="tts_voice_browser_search text_pole" type="search" placeholder="Search voices..." />
+            <div class="flex-container flexGap5">
+                <select class="tts_voice_browser_lang flex1"><option value="">All languages</option></select>
+                <select class="tts_voice_browser_category flex1"><option value="">All categories</option></select>
+                <select class="tts_voice_browser_tag flex1"><option value="">All tags</option></select>
+            </div>
+            <div class="flex-container flexGap5 alignItemsCenter">
+                <span>Copy to character:</span>
+                <select class="tts_voice_browser_character flex1"></select>
+            </div>
+            <div class="tts_voice_browser_list"></div>
+            <div class="flex-container flexGap5 justifyCenter alignItemsCenter">
+                <div class="tts_voice_browser_prev menu_button fa-solid fa-chevron-left" title="Previous page"></div>
+                <span class="tts_voice_browser_page"></span>
+                <div class="tts_voice_browser_next menu_button fa-solid fa-chevron-right" title="Next page"></div>
+            </div>
+        </div>`);
+
+    const addOptions = (select, values) => values.forEach(value => select.append($('<option></option>').val(value).text(value)));
+    addOptions(browser.find('.tts_voice_browser_lang'), languages);
+    addOptions(browser.find('.tts_voice_browser_category'), categories);
+    addOptions(browser.find('.tts_voice_browser_tag'), tags);
+    addOptions(browser.find('.tts_voice_browser_character'), characters);
+
+    // Hide filters that no voice can match
+    browser.find('.tts_voice_browser_lang').toggle(languages.length > 1);
+    browser.find('.tts_voice_browser_category').toggle(categories.length > 0);
+    browser.find('.tts_voice_browser_tag').toggle(tags.length > 0);
+    browser.find('.tts_voice_browser_character').parent().toggle(characters.length > 0);
+
+    let page = 0;
+    let previewAudio = null;
+
+    const playPreview = async (voice, icon) => {
+        previewAudio?.pause();
+        if (!voice.preview_url) {
+            icon.removeClass('fa-play').addClass('fa-spinner fa-spin');
+            try {
+                if (typeof ttsProvider.getPreviewUrl !== 'function') {
+                    // Providers without stored previews play them on their own
+                    await ttsProvider.previewTtsVoice(voice.voice_id);
+                    return;
+                }
+                // Generated once by the provider, then played here like any other stored preview
+                voice.preview_url = await ttsProvider.getPreviewUrl(voice.voice_id);
+            } finally {
+                icon.removeClass('fa-spinner fa-spin').addClass('fa-play');
+            }
+        }
+        // Another preview may have started while this one was generating
+        previewAudio?.pause();
+        previewAudio = new Audio(voice.preview_url);
+        await previewAudio.play();
+    };
+
+    const render = () => {
+        const search = String(browser.find('.tts_voice_browser_search').val()).trim().toLowerCase();
+        const lang = browser.find('.tts_voice_browser_lang').val();
+        const category = browser.find('.tts_voice_browser_category').val();
+        const tag = browser.find('.tts_voice_browser_tag').val();
+        const favorites = getFavoriteVoices();
+
+        const matches = voices.filter(voice => {
+            if (lang && voice.lang !== lang) return false;
+            if (category && voice.category !== category) return false;
+            if (tag && !(voice.tags ?? []).includes(tag)) return false;
+            if (!search) return true;
+            const haystack = [voice.name, voice.voice_id, voice.lang, voice.category, voice.description, ...(voice.tags ?? [])];
+            return haystack.some(value => value && String(value).toLowerCase().includes(search));
+        });
+        // Favorites first, otherwise keep the provider's order
+        const sorted = [...matches.filter(voice => favorites.includes(voice.voice_id)), ...matches.filter(voice => !favorites.includes(voice.voice_id))];
+
+        const pageCount = Math.max(1, Math.ceil(sorted.length / VOICE_BROWSER_PAGE_SIZE));
+        page = Math.min(page, pageCount - 1);
+        browser.find('.tts_voice_browser_page').text(`Page ${page + 1} of ${pageCount} (${sorted.length} voices)`);
+        browser.find('.tts_voice_browser_prev').toggleClass('disabled', page === 0);
+        browser.find('.tts_voice_browser_next').toggleClass('disabled', page >= pageCount - 1);
+
+        const list = browser.find('.tts_voice_browser_list').empty();
+        for (const voice of sorted.slice(page * VOICE_BROWSER_PAGE_SIZE, (page + 1) * VOICE_BROWSER_PAGE_SIZE)) {
+            const isFavorite = favorites.includes(voice.voice_id);
+            const details = [voice.category, voice.gender, ...(voice.tags ?? [])].filter(Boolean).join(' · ');
+            const row = $(`
+                <div class="voice_preview flex-container flexGap5 alignItemsCenter">
+                    <i class="tts_voice_favorite fa-star ${isFavorite ? 'fa-solid' : 'fa-regular'}" title="Favorite"></i>
+                    <span class="voice_lang"></span>
+                    <b class="voice_name"></b>
+                    <small class="tts_voice_details flex1"></small>
+                    <i class="tts_voice_health fa-solid"></i>
+                    <i class="tts_voice_play fa-solid fa-play" title="Preview"></i>
+                    <i class="tts_voice_copy fa-solid fa-user-plus" title="Copy to character"></i>
+                </div>`);
+            row.attr('title', voice.description || '');
+            row.find('.voice_lang').text(voice.lang || '');
+            row.find('.voice_name').text(voice.name);
+            row.find('.tts_voice_details').text(details);
+            const healthIcon = VOICE_HEALTH_ICONS[voice.health?.status];
+            row.find('.tts_voice_health')
+                .toggle(Boolean(healthIcon))
+                .addClass(healthIcon ?? '')
+                .attr('title', voice.health?.issues?.join('\n') || 'Voice files look fine');
+            row.find('.tts_voice_copy').toggle(characters.length > 0);
+            row.find('.tts_voice_favorite').on('click', () => {
+                toggleFavoriteVoice(voice.voice_id);
+                render();
+            });
+            row.find('.tts_voice_play').on('click', function () {
+                playPreview(voice, $(this)).catch(error => toastr.error(`Preview failed: ${error}`));
+            });
+            row.find('.tts_voice_copy').on('click', () => {
+                assignVoiceToCharacter(String(browser.find('.tts_voice_browser_character').val()), voice.name);
+            });
+            list.append(row);
+        }
+    };
+
+    browser.find('.tts_voice_browser_search').on('input', () => { page = 0; render(); });
+    browser.find('select:not(.tts_voice_browser_character)').on('change', () => { page = 0; render(); });
+    browser.find('.tts_voice_browser_prev').on('click', () => { page = Math.max(0, page - 1); render(); });
+    browser.find('.tts_voice_browser_next').on('click', () => { page++; render(); });
+    render();
+
+    await callGenericPopup(browser, POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true, wide: true });
+    previewAudio?.pause();
 }
 
 function updateUiAudioPlayState() {
@@ -361,7 +546,7 @@ function onAudioControlClicked() {
         resetTtsPlayback();
     } else {
         // Default play behavior if not processing or playing is to play the last message.
-        processAndQueueTtsMessage(context.chat[context.chat.length - 1]);
+        processAndQueueTtsMessage(context.chat[context.chat.length - 1], context.chat.length - 1);
     }
     updateUiAudioPlayState();
 }
@@ -434,26 +619,77 @@ function completeTtsJob() {
     currentTtsJob = null;
 }
 
-async function tts(text, voiceId, char) {
+/**
+ * Show generation progress reported by the TTS provider next to the narrated message's name.
+ * @param {number} mesId Message ID
+ * @param {{stage: string, text?: string}} progress Progress update from the provider
+ */
+function updateTtsProgressIndicator(mesId, progress) {
+    const nameBlock = $(`.mes[mesid="${mesId}"] .ch_name`);
+    let indicator = nameBlock.find('.tts_progress_indicator');
+
+    if (progress.stage === 'done' || !progress.text) {
+        indicator.remove();
+        return;
+    }
+
+    if (!indicator.length) {
+        indicator = $('<small class="tts_progress_indicator"></small>');
+        nameBlock.append(indicator);
+    }
+    indicator.text(`🔊 ${progress.text}`);
+}
+
+async function tts(text, voiceId, char, mesId = null) {
+    const abortController = new AbortController();
+    currentTtsAbortController = abortController;
+    const signal = abortController.signal;
+
     async function processResponse(response) {
         // RVC injection
         if (typeof window['rvcVoiceConversion'] === 'function' && extension_settings.rvc.enabled)
             response = await window['rvcVoiceConversion'](response, char, text);
 
+        // Playback was reset while this chunk was being processed
+        if (signal.aborted) {
+            return;
+        }
+
         await addAudioJob(response, char);
     }
 
-    let response = await ttsProvider.generateTts(text, voiceId);
+    const hasMessage = Number.isInteger(mesId);
+    const onProgress = hasMessage ? (progress) => updateTtsProgressIndicator(mesId, progress) : undefined;
 
-    // If async generator, process every chunk as it comes in
-    if (typeof response[Symbol.asyncIterator] === 'function') {
-        for await (const chunk of response) {
-            await processResponse(chunk);
+    try {
+        // Providers that support cancellation stop their in-flight requests when the signal fires
+        let response = await ttsProvider.generateTts(text, voiceId, { signal, onProgress });
+
+        // If async generator, process every chunk as it comes in
+        if (typeof response[Symbol.asyncIterator] === 'function') {
+            for await (const chunk of response) {
+                if (signal.aborted) {
+                    break;
+                }
+                await processResponse(chunk);
+            }
+        } else {
+            await processResponse(response);
+        }
+    } finally {
+        if (hasMessage) {
+            updateTtsProgressIndicator(mesId, { stage: 'done' });
         }
-    } else {
-        await processResponse(response);
     }
 
+    // A reset already cleared this job, and a new one may be running
+    if (signal.aborted) {
+        return;
+    }
+
+    if (currentTtsAbortController === abortController) {
+        currentTtsAbortController = null;
+    }
     completeTtsJob();
 }
 
@@ -531,9 +767,19 @@ async function processTtsQueue() {
             toastr.error(`Specified voice for ${char} was not found. Check the TTS extension settings.`);
             throw `Unable to attain voiceId for ${char}`;
         }
-        await tts(text, voiceId, char);
+        await tts(text, voiceId, char, currentTtsJob.mesId);
     } catch (error) {
-        toastr.error(error.toString());
+        // Cancelled by resetTtsPlayback, which has already cleared the job
+        if (error?.name === 'AbortError') {
+            console.debug('TTS generation cancelled');
+            return;
+        }
+        // Providers may attach a hint on what the user can do about the failure
+        if (error?.hint) {
+            toastr.error(error.hint, error.message);
+        } else {
+            toastr.error(error.toString());
+        }
         console.error(error);
         currentTtsJob = null;
     }
@@ -547,7 +793,9 @@ async function playFullConversation() {
     }
 
     const context = getContext();
-    const chat = context.chat.filter(x => !x.is_system && x.mes !== '...' && x.mes !== '');
+    const chat = context.chat
+        .map((x, mesId) => Object.assign({}, x, { mesId }))
+        .filter(x => !x.is_system && x.mes !== '...' && x.mes !== '');
 
     if (chat.length === 0) {
         return toastr.info('No messages to narrate.');
@@ -838,9 +1086,9 @@ async function onMessageEvent(messageId, lastCharIndex) {
     console.debug(`Adding message from ${message.name} for TTS processing: "${message.mes}"`);
 
     if (extension_settings.tts.periodic_auto_generation) {
-        ttsJobQueue.push(message);
+        ttsJobQueue.push(Object.assign(message, { mesId: messageId }));
     } else {
-        processAndQueueTtsMessage(message);
+        processAndQueueTtsMessage(message, messageId);
     }
 }
 
@@ -1022,50 +1270,215 @@ function updateVoiceMap() {
     saveSettingsDebounced();
 }
 
+let voiceMapPreview = null; // { controller, audio } of the voice map preview that is playing
+
+/**
+ * Sample sentence that has the character introduce themselves.
+ * @param {string} name Character name
+ * @param {string} lang Voice language
+ * @returns {string} Preview text
+ */
+function getCharacterPreviewString(name, lang) {
+    const greetings = {
+        'en-US': `Hello, my name is ${name}. ${getPreviewString(lang)}.`,
+        'en-GB': `Hello, my name is ${name}. ${getPreviewString(lang)}.`,
+        'zh-CN': `你好，我是${name}。${getPreviewString(lang)}。`,
+    };
+    return greetings[lang] ?? `${name}. ${getPreviewString(lang)}`;
+}
+
+/**
+ * Play a voice map preview clip until it ends or another preview pauses it.
+ * @param {HTMLAudioElement} audio Preview clip
+ * @returns {Promise<void>} Rejects when the clip can't be played, e.g. because the browser blocks autoplay
+ */
+function playVoiceMapPreview(audio) {
+    return new Promise((resolve, reject) => {
+        audio.addEventListener('ended', () => resolve());
+        audio.addEventListener('pause', () => resolve());
+        audio.addEventListener('error', () => reject(new Error('the audio could not be played')));
+        audio.play().catch(reject);
+    });
+}
+
+/**
+ * Speak the preview sentence for a character with the given voice. Stops any preview already playing.
+ * Providers with a preview API generate it with their preview settings and keep it for the next click.
+ * @param {string} name Character name
+ * @param {string} voiceName Voice name from the voice map
+ */
+async function previewVoiceMapEntry(name, voiceName) {
+    voiceMapPreview?.controller.abort();
+    voiceMapPreview?.audio?.pause();
+
+    const resolvedName = voiceName === DEFAULT_VOICE_MARKER ? voiceMap[DEFAULT_VOICE_MARKER] : voiceName;
+    if (!resolvedName || resolvedName === DISABLED_VOICE_MARKER) {
+        toastr.info(`TTS is disabled for ${name}.`);
+        return;
+    }
+
+    const preview = { controller: new AbortController(), audio: null };
+    voiceMapPreview = preview;
+    const signal = preview.controller.signal;
+
+    try {
+        const voice = await ttsProvider.getVoice(resolvedName);
+        const text = getCharacterPreviewString(name === DEFAULT_VOICE_MARKER ? 'the narrator' : name, voice.lang);
+
+        if (typeof ttsProvider.getPreviewUrl === 'function') {
+            const url = await ttsProvider.getPreviewUrl(voice.voice_id, text);
+            if (!signal.aborted) {
+                preview.audio = new Audio(url);
+                preview.audio.playbackRate = extension_settings.tts.playback_rate;
+                await playVoiceMapPreview(preview.audio);
+            }
+            return;
+        }
+
+        const response = await ttsProvider.generateTts(text, voice.voice_id, { signal });
+        const chunks = typeof response[Symbol.asyncIterator] === 'function' ? response : [response];
+
+        for await (const chunk of chunks) {
+            if (signal.aborted) {
+                break;
+            }
+            const url = URL.createObjectURL(await chunk.blob());
+            preview.audio = new Audio(url);
+            preview.audio.playbackRate = extension_settings.tts.playback_rate;
+            try {
+                await playVoiceMapPreview(preview.audio);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+    } finally {
+        if (voiceMapPreview === preview) {
+            voiceMapPreview = null;
+        }
+    }
+}
+
 class VoiceMapEntry {
     name;
     voiceId;
     selectElement;
+    missingElement;
+    voiceNames;
     constructor(name, voiceId = DEFAULT_VOICE_MARKER) {
         this.name = name;
         this.voiceId = voiceId;
         this.selectElement = null;
+        this.missingElement = null;
+        this.voiceNames = [];
     }
 
+    /**
+     * Add the character's row: a voice picker, a preview button and a warning when the saved voice
+     * is no longer offered by the provider. Providers that set filterableVoiceMap get a type-to-filter
+     * picker backed by the shared voice datalist instead of a select.
+     * @param {object[]} voiceIds Voice objects from the provider
+     */
     addUI(voiceIds) {
         let sanitizedName = sanitizeId(this.name);
-        let defaultOption = this.name === DEFAULT_VOICE_MARKER ?
-            `<option>${DISABLED_VOICE_MARKER}</option>` :
-            `<option>${DEFAULT_VOICE_MARKER}</option><option>${DISABLED_VOICE_MARKER}</option>`;
+        const filterable = Boolean(ttsProvider.filterableVoiceMap);
+        let picker;
+        if (filterable) {
+            picker = `<input id='tts_voicemap_char_${sanitizedName}_voice' class='text_pole flex1' list='${this.getDatalistId()}' placeholder='Type to filter voices' />`;
+        } else {
+            let defaultOption = this.name === DEFAULT_VOICE_MARKER ?
+                `<option>${DISABLED_VOICE_MARKER}</option>` :
+                `<option>${DEFAULT_VOICE_MARKER}</option><option>${DISABLED_VOICE_MARKER}</option>`;
+            picker = `<select id='tts_voicemap_char_${sanitizedName}_voice'>${defaultOption}</select>`;
+        }
         let template = `
-            <div class='tts_voicemap_block_char flex-container flexGap5'>
+            <div class='tts_voicemap_block_char flex-container flexGap5 alignItemsCenter'>
                 <span id='tts_voicemap_char_${sanitizedName}'>${this.name}</span>
-                <select id='tts_voicemap_char_${sanitizedName}_voice'>
-                    ${defaultOption}
-                </select>
+                ${picker}
+                <i id='tts_voicemap_char_${sanitizedName}_play' class='fa-solid fa-play' title='Preview this voice'></i>
+                <i id='tts_voicemap_char_${sanitizedName}_missing' class='fa-solid fa-triangle-exclamation' style='color: orange; display: none;'></i>
             </div>
         `;
         $('#tts_voicemap_block').append(template);
 
-        // Populate voice ID select list
-        for (const voiceId of voiceIds) {
-            const option = document.createElement('option');
-            option.innerText = voiceId.name;
-            option.value = voiceId.name;
-            $(`#tts_voicemap_char_${sanitizedName}_voice`).append(option);
-        }
+        this.voiceNames = (voiceIds ?? []).map(voice => voice.name);
 
         this.selectElement = $(`#tts_voicemap_char_${sanitizedName}_voice`);
-        this.selectElement.on('change', args => this.onSelectChange(args));
+        if (filterable) {
+            this.selectElement.on('input change', args => this.onSelectChange(args));
+            this.selectElement.on('focus', () => this.selectElement.val(''));
+            this.selectElement.on('blur', () => this.selectElement.val(this.voiceId));
+        } else {
+            // Populate voice ID select list
+            for (const voiceName of this.voiceNames) {
+                const option = document.createElement('option');
+                option.innerText = voiceName;
+                option.value = voiceName;
+                this.selectElement.append(option);
+            }
+            this.selectElement.on('change', args => this.onSelectChange(args));
+        }
         this.selectElement.val(this.voiceId);
+
+        this.missingElement = $(`#tts_voicemap_char_${sanitizedName}_missing`);
+        this.updateMissingFlag();
+
+        const playIcon = $(`#tts_voicemap_char_${sanitizedName}_play`);
+        playIcon.on('click', async () => {
+            playIcon.removeClass('fa-play').addClass('fa-spinner fa-spin');
+            try {
+                await previewVoiceMapEntry(this.name, this.voiceId);
+            } catch (error) {
+                if (error?.name !== 'AbortError') {
+                    toastr.error(`Voice preview failed: ${error.message || error}`);
+                }
+            } finally {
+                playIcon.removeClass('fa-spinner fa-spin').addClass('fa-play');
+            }
+        });
+    }
+
+    getDatalistId() {
+        return this.name === DEFAULT_VOICE_MARKER ? 'tts_voicemap_voices_default' : 'tts_voicemap_voices';
+    }
+
+    getAllowedValues() {
+        const markers = this.name === DEFAULT_VOICE_MARKER ? [DISABLED_VOICE_MARKER] : [DEFAULT_VOICE_MARKER, DISABLED_VOICE_MARKER];
+        return [...markers, ...this.voiceNames];
+    }
+
+    updateMissingFlag() {
+        const missing = !this.getAllowedValues().includes(this.voiceId);
+        this.missingElement
+            .attr('title', missing ? `Voice "${this.voiceId}" was not found. Pick another voice.` : '')
+            .toggle(missing);
     }
 
     onSelectChange(args) {
-        this.voiceId = this.selectElement.find(':selected').val();
+        const value = String(this.selectElement.val()).trim();
+        if (!this.getAllowedValues().includes(value)) {
+            // Only accept voices from the list, the typed text stays a filter until one is picked
+            return;
+        }
+        this.voiceId = value;
+        this.updateMissingFlag();
         updateVoiceMap();
     }
 }
 
+/**
+ * Fill the datalists the voice map pickers filter. Shared by all rows so hundreds of voices are listed once.
+ * @param {object[]} voiceIds Voice objects from the provider
+ */
+function renderVoiceMapDatalists(voiceIds) {
+    $('#tts_voicemap_voices, #tts_voicemap_voices_default').remove();
+    const voiceOptions = (voiceIds ?? []).map(voice => $('<option></option>').val(voice.name).text(voice.lang ? `${voice.name} (${voice.lang})` : voice.name));
+    const datalist = $('<datalist id="tts_voicemap_voices"></datalist>')
+        .append($('<option></option>').val(DEFAULT_VOICE_MARKER), $('<option></option>').val(DISABLED_VOICE_MARKER), voiceOptions.map(option => option.clone()));
+    const defaultDatalist = $('<datalist id="tts_voicemap_voices_default"></datalist>')
+        .append($('<option></option>').val(DISABLED_VOICE_MARKER), voiceOptions);
+    $('#tts_voicemap_block').append(datalist, defaultDatalist);
+}
+
 /**
  * Init voiceMapEntries for character select list.
  * If an initialization is already in progress, it returns the existing Promise instead of starting a new one.
@@ -1146,6 +1559,10 @@ async function initVoiceMapInternal(unrestricted) {
         toastr.error('TTS Provider failed to return voice ids.');
     }
 
+    if (ttsProvider.filterableVoiceMap) {
+        renderVoiceMapDatalists(voiceIdsFromProvider);
+    }
+
     // Build UI using VoiceMapEntry objects
     for (const character of characters) {
         if (character === 'SillyTavern System') {
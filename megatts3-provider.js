@@ -1,25 +1,979 @@
 import { debounce_timeout } from '../../constants.js';
-import { debounceAsync, splitRecursive } from '../../utils.js';
-import { getPreviewString, saveTtsProviderSettings } from './index.js';
+import { copyText, debounceAsync, download, getStringHash, splitRecursive } from '../../utils.js';
+import { POPUP_TYPE, callGenericPopup } from '../../popup.js';
+import { findSecret, secret_state, writeSecret } from '../../secrets.js';
+import { getPreviewString, initVoiceMap, saveTtsProviderSettings } from './index.js';
+
+// Uploaded voice files are reused until they get this old, then uploaded again
+const UPLOAD_CACHE_MAX_AGE = 30 * 60 * 1000;
+// How long a cached upload is trusted before checking that Gradio still serves it
+const UPLOAD_CACHE_VALIDATE_INTERVAL = 60 * 1000;
+// A liveness check taking longer than this counts as a dead upload, so a hung server can't stall generation
+const UPLOAD_LIVENESS_TIMEOUT = 5 * 1000;
+
+// Log levels from least to most verbose
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const LOG_BUFFER_SIZE = 2000;  // entries kept for the downloadable log
+
+/**
+ * Turn a log argument into one line of text for the ring buffer.
+ * @param {any} value Logged value
+ * @returns {string} Text
+ */
+function formatLogArgument(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+    }
+    try {
+        const text = JSON.stringify(value);
+        return text === undefined ? String(value) : text.length > 1000 ? `${text.substring(0, 1000)}...` : text;
+    } catch {
+        return String(value);
+    }
+}
+
+/**
+ * Leveled console logger with a shared ring buffer of recent entries.
+ * The buffer keeps debug and above even when the console is quieter, so a downloaded log has context.
+ */
+class MegaTts3Logger {
+    /**
+     * @param {function(): string} getLevel Returns the configured level
+     * @param {object[]} [buffer] Ring buffer shared with request loggers
+     * @param {number|null} [requestId] Correlation id added to every entry
+     */
+    constructor(getLevel, buffer = [], requestId = null) {
+        this.getLevel = getLevel;
+        this.buffer = buffer;
+        this.requestId = requestId;
+    }
+
+    /**
+     * @param {number} requestId Correlation id
+     * @returns {MegaTts3Logger} Logger that tags entries with the request
+     */
+    forRequest(requestId) {
+        return new MegaTts3Logger(this.getLevel, this.buffer, requestId);
+    }
+
+    error(...args) { this.write('error', args); }
+    warn(...args) { this.write('warn', args); }
+    info(...args) { this.write('info', args); }
+    debug(...args) { this.write('debug', args); }
+    trace(...args) { this.write('trace', args); }
+
+    write(level, args) {
+        const rank = LOG_LEVELS.indexOf(level);
+        const printRank = Math.max(0, LOG_LEVELS.indexOf(this.getLevel()));
+
+        if (rank <= Math.max(printRank, LOG_LEVELS.indexOf('debug'))) {
+            this.buffer.push({ time: new Date().toISOString(), level, requestId: this.requestId, message: args.map(formatLogArgument).join(' ') });
+            if (this.buffer.length > LOG_BUFFER_SIZE) {
+                this.buffer.shift();
+            }
+        }
+
+        if (rank <= printRank) {
+            const prefix = this.requestId === null ? '[MegaTTS3]' : `[MegaTTS3 #${this.requestId}]`;
+            const method = level === 'trace' ? 'debug' : level;
+            console[method](prefix, ...args);
+        }
+    }
+
+    /**
+     * @returns {string} Buffered entries, one per line
+     */
+    toText() {
+        return this.buffer
+            .map(entry => `${entry.time} ${entry.level.toUpperCase().padEnd(5)} ${entry.requestId === null ? '' : `#${entry.requestId} `}${entry.message}`)
+            .join('\n');
+    }
+}
+
+// Heartbeat: checked every interval while healthy, backing off exponentially while something is down
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const HEARTBEAT_RETRY_MIN = 5 * 1000;
+const HEARTBEAT_RETRY_MAX = 5 * 60 * 1000;
+const HEARTBEAT_TIMEOUT = 10 * 1000;
+
+// Connection states shown in the status line. `ready` is whether generation can be attempted.
+const SERVER_STATES = {
+    connecting: { label: 'Connecting...', color: 'blue', ready: false },
+    ready: { label: 'Ready', color: 'green', ready: true },
+    busy: { label: 'Busy', color: 'orange', ready: true },
+    file_server_down: { label: 'File server down', color: 'orange', ready: true },
+    degraded: { label: 'Degraded', color: 'orange', ready: true },
+    offline: { label: 'Offline', color: 'red', ready: false },
+};
+
+// Diagnostics generate a short sample at draft quality and give up after this long
+const DIAGNOSTICS_SAMPLE_TEXT = 'Testing.';
+const DIAGNOSTICS_GENERATION_TIMEOUT = 3 * 60 * 1000;
+
+// The speech server's API key is kept in SillyTavern's secrets store under a name of its own
+const OPENAI_SECRET_KEY = 'api_key_megatts3_openai';
+
+// Backends generation can run on. The bridge (megatts3_bridge.py) speaks a small JSON protocol:
+//   POST   /v1/jobs            {voice, text, timestep, p_w, t_w} -> {id, status}
+//   GET    /v1/jobs/<id>       -> {id, status: queued|running|done|failed|cancelled, position, queue_size, error}
+//   GET    /v1/jobs/<id>/audio -> WAV, once the job is done
+//   DELETE /v1/jobs/<id>       cancels a pending job or frees a finished one
+//   GET    /v1/health          -> {status: ok|loading, model, queue_size}
+// Voices are IDs relative to the bridge's own voice folder, so nothing is uploaded.
+// An OpenAI-compatible server takes POST /audio/speech with MegaTTS3's weights as extra body fields
+// and lists its voices itself, so it needs neither uploads nor the file server.
+const BACKENDS = {
+    gradio: 'Gradio API (recommended)',
+    bridge: 'Local bridge (megatts3_bridge.py)',
+    openai: 'OpenAI-compatible speech server',
+};
+const BRIDGE_POLL_INTERVAL = 500;
+
+/**
+ * Sleep that ends early with an AbortError when the signal fires.
+ * @param {number} ms Delay in milliseconds
+ * @param {AbortSignal} [signal] Abort signal
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            return reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+        }
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timeout);
+            reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+// How each class of generation failure is retried: exponential backoff from baseDelay up to maxDelay, with jitter.
+// The hint is shown to the user when the last attempt fails.
+const ERROR_POLICIES = {
+    network: {
+        label: 'Network error', retries: 3, baseDelay: 1000, maxDelay: 8000,
+        hint: 'Check that the MegaTTS3 server is running and the Server URL is correct.',
+    },
+    busy: {
+        label: 'Server busy', retries: 4, baseDelay: 5000, maxDelay: 60000,
+        hint: 'MegaTTS3 is handling other requests. Wait for them to finish, or start Gradio with a larger queue.',
+    },
+    upload: {
+        label: 'Voice upload failed', retries: 2, baseDelay: 2000, maxDelay: 8000,
+        hint: 'Check that cors_server.py is running and that Gradio accepts uploads. Run Diagnostics for details.',
+    },
+    config: {
+        label: 'Configuration problem', retries: 0, baseDelay: 0, maxDelay: 0,
+        hint: 'Check File Server URL and File Server Root in the MegaTTS3 settings, then use Check File Server.',
+    },
+    invalid_voice: {
+        label: 'Invalid voice files', retries: 0, baseDelay: 0, maxDelay: 0,
+        hint: 'Make sure the voice has a matching .wav and .npy pair from the ByteDance collection, or pick another voice.',
+    },
+    timeout: {
+        label: 'Timed out', retries: 1, baseDelay: 2000, maxDelay: 2000,
+        hint: 'The server may be overloaded or running on CPU. Try shorter text or a faster quality preset.',
+    },
+    server_crash: {
+        label: 'MegaTTS3 server error', retries: 1, baseDelay: 10000, maxDelay: 10000,
+        hint: 'Look at the MegaTTS3 console for the error. Running out of GPU memory is the usual cause.',
+    },
+    unknown: {
+        label: 'Generation failed', retries: 0, baseDelay: 0, maxDelay: 0,
+        hint: 'Run Diagnostics in the MegaTTS3 settings and download the log if the problem persists.',
+    },
+};
+
+/**
+ * Generation error tagged with its failure class, so it can be retried by policy and explained to the user.
+ */
+class MegaTts3Error extends Error {
+    /**
+     * @param {string} kind Key of ERROR_POLICIES
+     * @param {string} message Error message
+     * @param {object} [options]
+     * @param {Error} [options.cause] Underlying error
+     * @param {string} [options.hint] What the user can do about it; defaults to the policy's hint
+     */
+    constructor(kind, message, { cause, hint } = {}) {
+        super(message, { cause });
+        this.name = 'MegaTts3Error';
+        this.kind = kind in ERROR_POLICIES ? kind : 'unknown';
+        this.hint = hint ?? ERROR_POLICIES[this.kind].hint;
+    }
+}
+
+/**
+ * Guess the failure class of an error that wasn't classified where it was thrown.
+ * @param {any} error Error
+ * @returns {string} Key of ERROR_POLICIES
+ */
+function classifyError(error) {
+    if (error instanceof MegaTts3Error) {
+        return error.kind;
+    }
+    const message = String(error?.message ?? error).toLowerCase();
+    if (error?.name === 'TimeoutError' || message.includes('timeout') || message.includes('timed out')) {
+        return 'timeout';
+    }
+    if (message.includes('out of memory')) {
+        return 'server_crash';
+    }
+    // fetch rejects with a TypeError when the server can't be reached (Chrome, Firefox and Safari word it differently).
+    // Other TypeErrors are bugs, retrying them won't help
+    if (error?.name === 'TypeError' && /failed to fetch|networkerror|load failed/.test(message)) {
+        return 'network';
+    }
+    return 'unknown';
+}
+
+/**
+ * @param {number} status HTTP status of a failed Gradio request
+ * @returns {string} Key of ERROR_POLICIES
+ */
+function classifyHttpStatus(status) {
+    if (status === 429 || status === 503) {
+        return 'busy';
+    }
+    return status >= 500 ? 'server_crash' : 'unknown';
+}
+
+/**
+ * @param {string} reason Error reported by Gradio for a failed job
+ * @returns {string} Key of ERROR_POLICIES
+ */
+function classifyProcessFailure(reason) {
+    // MegaTTS3 fails inside the model when the latent doesn't fit the reference audio
+    return /npy|latent|shape|size mismatch|no such file/i.test(String(reason)) ? 'invalid_voice' : 'server_crash';
+}
+
+/**
+ * @param {object} policy Entry of ERROR_POLICIES
+ * @param {number} attempt 1-based attempt that just failed
+ * @returns {number} Delay before the next attempt in milliseconds, with ±25% jitter
+ */
+function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+// Time limit settings, in seconds; 0 turns a limit off
+const TIMEOUT_FIELDS = [
+    { key: 'timeout_total', label: 'Whole attempt' },
+    { key: 'timeout_queue', label: 'Queue wait' },
+    { key: 'timeout_inference', label: 'Inference (minimum)' },
+    { key: 'timeout_download', label: 'Audio download' },
+    { key: 'timeout_stall', label: 'Server silence' },
+];
+
+// Inference speed assumed until real generations have been measured
+const DEFAULT_SECONDS_PER_CHAR = 0.1;
+// The scaled inference limit allows this many times the expected duration
+const INFERENCE_TIMEOUT_FACTOR = 3;
+// Shorter chunks are dominated by fixed model overhead and don't say much about speed
+const SPEED_SAMPLE_MIN_CHARS = 20;
+
+/**
+ * Combine a caller's abort signal with a time limit.
+ * @param {AbortSignal} [signal] Abort signal
+ * @param {number} ms Limit in milliseconds, 0 for none
+ * @returns {AbortSignal|undefined} Signal that also fires with a TimeoutError when the limit passes
+ */
+function withTimeout(signal, ms) {
+    if (!ms) {
+        return signal;
+    }
+    const timeout = AbortSignal.timeout(ms);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * Fails a streamed Gradio job when its current phase runs past its limit,
+ * or when the server sends nothing (not even a heartbeat) for too long.
+ */
+class JobWatchdog {
+    /**
+     * @param {function(MegaTts3Error): void} onExpire Called once, when the first limit is hit
+     * @param {number} stallTimeout Milliseconds without a server message before the job counts as stalled, 0 for none
+     */
+    constructor(onExpire, stallTimeout) {
+        this.onExpire = onExpire;
+        this.stallTimeout = stallTimeout;
+        this.phase = null;
+        this.phaseTimer = null;
+        this.stallTimer = null;
+    }
+
+    /**
+     * Enter a phase; its limit replaces the previous phase's.
+     * @param {string} label Phase name for the error message
+     * @param {number} limit Limit in milliseconds, 0 for none
+     */
+    startPhase(label, limit) {
+        this.phase = label;
+        clearTimeout(this.phaseTimer);
+        if (limit > 0) {
+            this.phaseTimer = setTimeout(() => this.expire(new MegaTts3Error('timeout', `${label} took longer than ${Math.round(limit / 1000)}s`)), limit);
+        }
+        this.touch();
+    }
+
+    /**
+     * Restart the stall timer. Call for every message from the server.
+     */
+    touch() {
+        clearTimeout(this.stallTimer);
+        if (this.stallTimeout > 0) {
+            // A silent server is usually gone, not slow
+            this.stallTimer = setTimeout(() => this.expire(new MegaTts3Error('network', `MegaTTS3 sent nothing for ${Math.round(this.stallTimeout / 1000)}s during ${this.phase.toLowerCase()}`)), this.stallTimeout);
+        }
+    }
+
+    stop() {
+        clearTimeout(this.phaseTimer);
+        clearTimeout(this.stallTimer);
+    }
+
+    expire(error) {
+        this.stop();
+        this.onExpire(error);
+    }
+}
+
+// Named quality presets: diffusion steps plus the weights that work well with them
+const QUALITY_PRESETS = {
+    draft: { label: 'Draft', infer_timestep: 12, p_w: 1.8, t_w: 2.5 },
+    balanced: { label: 'Balanced', infer_timestep: 32, p_w: 2.0, t_w: 3.0 },
+    quality: { label: 'Quality', infer_timestep: 64, p_w: 2.0, t_w: 3.2 },
+};
+
+/**
+ * Pitch-preserving time-stretch using WSOLA (waveform similarity overlap-add).
+ * Frames are taken from the input at rate * hop and overlap-added at hop, each shifted within a small
+ * tolerance to the position that best continues the previous frame's waveform.
+ * @param {Float32Array} input Mono samples
+ * @param {number} sampleRate Sample rate in Hz
+ * @param {number} rate Speed factor; 2 = twice as fast, 0.5 = half speed
+ * @returns {Float32Array} Stretched samples
+ */
+function timeStretchWsola(input, sampleRate, rate) {
+    const frameLength = Math.round(sampleRate * 0.04);
+    const synthesisHop = Math.floor(frameLength / 2);
+    const analysisHop = synthesisHop * rate;
+    const tolerance = Math.round(sampleRate * 0.01);
+    const outputLength = Math.ceil(input.length / rate);
+    const output = new Float32Array(outputLength + frameLength);
+
+    // Periodic Hann window sums to 1 at 50% overlap
+    const window = new Float32Array(frameLength);
+    for (let i = 0; i < frameLength; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameLength);
+    }
+
+    const sampleAt = index => (index >= 0 && index < input.length ? input[index] : 0);
+    let previousPosition = 0;
+
+    for (let frame = 0; frame * synthesisHop < outputLength; frame++) {
+        const idealPosition = Math.round(frame * analysisHop);
+        let position = idealPosition;
+
+        if (frame > 0) {
+            // Where the previous frame would naturally continue; find the candidate that looks most like it
+            const naturalPosition = previousPosition + synthesisHop;
+            let bestScore = -Infinity;
+            const from = Math.max(0, idealPosition - tolerance);
+            const to = Math.min(input.length - 1, idealPosition + tolerance);
+            for (let candidate = from; candidate <= to; candidate++) {
+                let score = 0;
+                // Every second sample is enough to pick the alignment and halves the cost
+                for (let i = 0; i < synthesisHop; i += 2) {
+                    score += sampleAt(naturalPosition + i) * sampleAt(candidate + i);
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    position = candidate;
+                }
+            }
+        }
+
+        const outputPosition = frame * synthesisHop;
+        for (let i = 0; i < frameLength; i++) {
+            output[outputPosition + i] += sampleAt(position + i) * window[i];
+        }
+        previousPosition = position;
+    }
+
+    return output.subarray(0, outputLength);
+}
+
+/**
+ * Encode channel data as a 16-bit PCM WAV file.
+ * @param {Float32Array[]} channels Samples per channel, all the same length
+ * @param {number} sampleRate Sample rate in Hz
+ * @returns {Blob} WAV blob
+ */
+function encodeWav(channels, sampleRate) {
+    const channelCount = channels.length;
+    const frameCount = channels[0].length;
+    const dataSize = frameCount * channelCount * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, value) => [...value].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channelCount * 2, true);
+    view.setUint16(32, channelCount * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        }
+    }
+
+    return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+const DB_NAME = 'megatts3';
+const DB_VERSION = 3;
+const AUDIO_CACHE_STORE = 'audio_cache';
+const PREVIEW_STORE = 'voice_previews';  // one clip per voice, text and parameter set, kept outside the size-limited cache
+const LOCAL_VOICE_STORE = 'local_voices';  // voice pairs imported from the user's disk
+
+// Imported voices get this ID prefix so they never collide with voices on the file server
+const LOCAL_VOICE_PREFIX = 'local:';
+
+let databasePromise = null;
+
+/**
+ * Open (and create or upgrade) the provider's IndexedDB database.
+ * @returns {Promise<IDBDatabase>} Database connection, shared across calls
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(AUDIO_CACHE_STORE)) {
+                    db.createObjectStore(AUDIO_CACHE_STORE, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(PREVIEW_STORE)) {
+                    db.createObjectStore(PREVIEW_STORE, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(LOCAL_VOICE_STORE)) {
+                    db.createObjectStore(LOCAL_VOICE_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                databasePromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run a single request against an object store.
+ * @param {string} storeName Object store name
+ * @param {IDBTransactionMode} mode Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} callback Creates the request
+ * @returns {Promise<any>} Request result
+ */
+async function idbRequest(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = callback(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function isLocalVoiceId(voiceId) {
+    return voiceId.startsWith(LOCAL_VOICE_PREFIX);
+}
+
+/**
+ * Extract files from a zip archive. Stored and deflated entries are supported, which covers what
+ * operating systems and common tools produce; zip64 archives are rejected.
+ * @param {Blob} blob Zip archive
+ * @param {function(string): boolean} [filter] Picks the entry paths to extract; others aren't decompressed
+ * @returns {Promise<File[]>} Extracted files, named with their path inside the archive
+ */
+async function readZipEntries(blob, filter = () => true) {
+    // The end of central directory record is 22 bytes, followed by a comment of up to 64 KB
+    const tailStart = Math.max(0, blob.size - 22 - 0xFFFF);
+    const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+    let end = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('not a zip archive');
+    }
+
+    const count = tail.getUint16(end + 10, true);
+    const directorySize = tail.getUint32(end + 12, true);
+    const directoryOffset = tail.getUint32(end + 16, true);
+    if (count === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+        throw new Error('zip64 archives are not supported');
+    }
+
+    const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const files = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+        if (directory.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('corrupt zip directory');
+        }
+        const method = directory.getUint16(offset + 10, true);
+        const compressedSize = directory.getUint32(offset + 20, true);
+        const nameLength = directory.getUint16(offset + 28, true);
+        const extraLength = directory.getUint16(offset + 30, true);
+        const commentLength = directory.getUint16(offset + 32, true);
+        const headerOffset = directory.getUint32(offset + 42, true);
+        const path = decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith('/') || !filter(path)) {
+            continue;
+        }
+
+        // The local header's name and extra field lengths can differ from the directory's
+        const header = new DataView(await blob.slice(headerOffset, headerOffset + 30).arrayBuffer());
+        const dataStart = headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            files.push(new File([data], path));
+        } else if (method === 8) {
+            const inflated = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+            files.push(new File([inflated], path));
+        } else {
+            throw new Error(`${path} uses unsupported compression method ${method}`);
+        }
+    }
+    return files;
+}
+
+/**
+ * Detect the audio container from its magic bytes.
+ * @param {Uint8Array} bytes File contents
+ * @returns {string|null} MIME type, or null if this isn't a known audio format
+ */
+function sniffAudioMimeType(bytes) {
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+    if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WAVE') {
+        return 'audio/wav';
+    }
+    if (ascii(0, 4) === 'OggS') {
+        return 'audio/ogg';
+    }
+    if (ascii(0, 4) === 'fLaC') {
+        return 'audio/flac';
+    }
+    // ID3 tag, or a bare MPEG frame sync
+    if (ascii(0, 3) === 'ID3' || (bytes.length >= 2 && bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0)) {
+        return 'audio/mpeg';
+    }
+    return null;
+}
+
+/**
+ * Explain what came back instead of audio, pulling the message out of HTML and JSON error pages.
+ * @param {Uint8Array} bytes File contents
+ * @returns {string} Error message
+ */
+function describeNonAudioPayload(bytes) {
+    const text = new TextDecoder().decode(bytes.subarray(0, 2048)).trim();
+
+    if (text.startsWith('<')) {
+        const title = text.match(/<title>([^<]*)<\/title>/i)?.[1]?.trim();
+        return `MegaTTS3 returned an HTML page instead of audio${title ? `: ${title}` : ''}. Check the server URL.`;
+    }
+    if (text.startsWith('{') || text.startsWith('[')) {
+        let message = text.substring(0, 200);
+        try {
+            const json = JSON.parse(new TextDecoder().decode(bytes));
+            message = json.detail || json.error || json.message || message;
+        } catch {
+            // Truncated or invalid JSON - show the start of it
+        }
+        return `MegaTTS3 returned an error instead of audio: ${typeof message === 'string' ? message : JSON.stringify(message)}`;
+    }
+
+    const signature = [...bytes.subarray(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+    return `MegaTTS3 returned data in an unknown format (starts with ${signature})`;
+}
+
+/**
+ * Tell a file Gradio wrote from text that merely contains a slash, like an error message.
+ * @param {string} value String from a Gradio response
+ * @returns {boolean} Whether it's an absolute or file= path ending in an audio extension
+ */
+function isGradioAudioPath(value) {
+    const isAbsolute = /^(\/|[A-Za-z]:[\\/])/.test(value);
+    const isFileRoute = /^\/?(gradio_api\/)?file=/.test(value);
+    return (isAbsolute || isFileRoute) && /\.(wav|mp3|ogg|flac|m4a|webm)$/i.test(value);
+}
+
+function decodeBase64(value) {
+    const binary = atob(value.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Short preview sentences for the languages MegaTTS3 speaks, other languages use SillyTavern's pangrams
+const PREVIEW_TEXTS = {
+    'en-US': 'Hello, this is a voice preview.',
+    'zh-CN': '你好，这是语音预览。',
+};
+
+/**
+ * Map loose language names from metadata files ("en", "Chinese", "zh_cn") to BCP 47 tags.
+ * @param {any} language Language from metadata
+ * @returns {string|null} Language tag
+ */
+function normalizeLanguageTag(language) {
+    if (typeof language !== 'string' || !language.trim()) {
+        return null;
+    }
+
+    const value = language.trim().replace('_', '-');
+    const aliases = {
+        en: 'en-US', english: 'en-US',
+        zh: 'zh-CN', chinese: 'zh-CN', mandarin: 'zh-CN', cn: 'zh-CN',
+    };
+    const alias = aliases[value.toLowerCase()];
+    if (alias) {
+        return alias;
+    }
+
+    const [lang, region] = value.split('-');
+    return region ? `${lang.toLowerCase()}-${region.toUpperCase()}` : lang.toLowerCase();
+}
+
+/**
+ * Pick the known fields out of a sidecar or manifest entry, accepting common spellings.
+ * @param {object} raw Parsed JSON entry
+ * @returns {{language?: string, gender?: string, description?: string, tags?: string[], sample_rate?: number, duration?: number}} Metadata
+ */
+function normalizeVoiceMetadata(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return {};
+    }
+
+    const metadata = {};
+    const language = normalizeLanguageTag(raw.language ?? raw.lang);
+    if (language) metadata.language = language;
+    if (typeof raw.gender === 'string' && raw.gender) metadata.gender = raw.gender.toLowerCase();
+    if (typeof raw.description === 'string' && raw.description) metadata.description = raw.description;
+
+    const tags = typeof raw.tags === 'string' ? raw.tags.split(',') : raw.tags;
+    if (Array.isArray(tags)) {
+        metadata.tags = tags.map(tag => String(tag).trim()).filter(Boolean);
+    }
+
+    const sampleRate = Number(raw.sample_rate ?? raw.sampleRate);
+    if (sampleRate > 0) metadata.sample_rate = sampleRate;
+    const duration = Number(raw.duration);
+    if (duration > 0) metadata.duration = duration;
+
+    return metadata;
+}
+
+// MegaTTS3 works on 24 kHz mono audio, and its WaveVAE latents run at 25 frames per second (mel hop 240, downsampled 4x)
+const REFERENCE_SAMPLE_RATE = 24000;
+const LATENT_FRAME_RATE = 25;
+// Long references take much more GPU memory, very short ones clone poorly
+const REFERENCE_MAX_SECONDS = 30;
+const REFERENCE_MIN_SECONDS = 1;
+// Enough of each file to reach the WAV data chunk header past metadata chunks, and any NPY header
+const VOICE_HEADER_BYTES = 64 * 1024;
+// Badges shown next to voices once their files have been checked
+const VOICE_HEALTH_BADGES = { ok: '✅', warning: '⚠️', error: '❌' };
+
+/**
+ * Read the RIFF chunks of a WAV file up to its data chunk.
+ * @param {Uint8Array} bytes Start of the file
+ * @param {number} [fileSize] Full file size, to tell a streamed or truncated data chunk
+ * @returns {{audioFormat: number, channels: number, sampleRate: number, bitsPerSample: number, dataOffset: number, dataSize: number, duration: number}} Format and length
+ */
+function parseWavHeader(bytes, fileSize) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || ascii(0) !== 'RIFF' || ascii(8) !== 'WAVE') {
+        throw new Error('not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = ascii(offset);
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'fmt ' && offset + 24 <= bytes.length) {
+            format = {
+                audioFormat: view.getUint16(offset + 8, true),
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                byteRate: view.getUint32(offset + 16, true),
+                bitsPerSample: view.getUint16(offset + 22, true),
+            };
+        } else if (id === 'data') {
+            if (!format) {
+                throw new Error('data chunk comes before the fmt chunk');
+            }
+            const dataOffset = offset + 8;
+            const dataSize = fileSize ? Math.min(size, fileSize - dataOffset) : size;
+            return { ...format, dataOffset, dataSize, declaredSize: size, duration: format.byteRate ? dataSize / format.byteRate : 0 };
+        }
+        // Chunks are padded to an even length
+        offset += 8 + size + (size % 2);
+    }
+    throw new Error(format ? 'no data chunk near the start of the file' : 'no fmt chunk');
+}
+
+/**
+ * Read the header of a NumPy .npy file.
+ * @param {Uint8Array} bytes Start of the file
+ * @returns {{dtype: string, shape: number[], dataOffset: number, dataSize: number}} Array description
+ */
+function parseNpyHeader(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x93 || String.fromCharCode(...bytes.subarray(1, 6)) !== 'NUMPY') {
+        throw new Error('not a NumPy .npy file');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // Version 1 has a 2-byte header length, versions 2 and 3 a 4-byte one
+    const headerStart = bytes[6] === 1 ? 10 : 12;
+    const headerLength = bytes[6] === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    if (headerStart + headerLength > bytes.length) {
+        throw new Error('header is cut off');
+    }
+
+    const header = new TextDecoder('latin1').decode(bytes.subarray(headerStart, headerStart + headerLength));
+    const dtype = header.match(/'descr'\s*:\s*'([^']+)'/)?.[1];
+    const shapeText = header.match(/'shape'\s*:\s*\(([^)]*)\)/)?.[1];
+    if (!dtype || shapeText === undefined) {
+        throw new Error('header has no dtype or shape');
+    }
+
+    const shape = shapeText.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+    const itemSize = Number(dtype.match(/\d+$/)?.[0]) || 0;
+    return {
+        dtype: dtype,
+        shape: shape,
+        dataOffset: headerStart + headerLength,
+        dataSize: shape.reduce((product, size) => product * size, 1) * itemSize,
+    };
+}
+
+/**
+ * Check a reference pair the way MegaTTS3 will use it, from the start of each file.
+ * Errors mean inference will fail; warnings mean it will run but may sound wrong or use too much memory.
+ * @param {{bytes: Uint8Array, size: number}} wavFile Start of the .wav and its full size
+ * @param {{bytes: Uint8Array, size: number}} npyFile Start of the .npy and its full size
+ * @returns {{status: 'ok'|'warning'|'error', issues: string[], wav: object|null, npy: object|null}} Health
+ */
+function validateVoicePair(wavFile, npyFile) {
+    const errors = [];
+    const warnings = [];
+    let wav = null;
+    let npy = null;
+
+    try {
+        wav = parseWavHeader(wavFile.bytes, wavFile.size);
+    } catch (error) {
+        errors.push(`.wav ${error.message}`);
+    }
+    try {
+        npy = parseNpyHeader(npyFile.bytes);
+    } catch (error) {
+        errors.push(`.npy ${error.message}`);
+    }
+
+    if (wav) {
+        if (wav.sampleRate !== REFERENCE_SAMPLE_RATE) {
+            warnings.push(`.wav is ${wav.sampleRate} Hz, MegaTTS3 resamples it to ${REFERENCE_SAMPLE_RATE} Hz`);
+        }
+        if (wav.channels !== 1) {
+            warnings.push(`.wav has ${wav.channels} channels, MegaTTS3 mixes it down to mono`);
+        }
+        if (wav.duration > REFERENCE_MAX_SECONDS) {
+            warnings.push(`reference is ${wav.duration.toFixed(1)}s long, over ${REFERENCE_MAX_SECONDS}s needs much more GPU memory`);
+        } else if (wav.duration < REFERENCE_MIN_SECONDS) {
+            warnings.push(`reference is only ${wav.duration.toFixed(1)}s long`);
+        }
+        if (wav.declaredSize !== 0xFFFFFFFF && wav.dataSize < wav.declaredSize) {
+            warnings.push('.wav is shorter than its header says, it may be truncated');
+        }
+    }
+
+    if (npy) {
+        if (!/^[<|=]?f/.test(npy.dtype)) {
+            errors.push(`.npy holds ${npy.dtype} values, latents are float32`);
+        } else if (!/^[<|=]?f4$/.test(npy.dtype)) {
+            warnings.push(`.npy holds ${npy.dtype} values, latents are normally float32`);
+        }
+        if (npy.shape.length !== 3 || npy.shape[0] !== 1) {
+            errors.push(`.npy shape is (${npy.shape.join(', ')}), latents are (1, frames, channels)`);
+        }
+        if (npyFile.size && npy.dataOffset + npy.dataSize > npyFile.size) {
+            errors.push(`.npy is truncated: ${npyFile.size} bytes, its header needs ${npy.dataOffset + npy.dataSize}`);
+        }
+    }
+
+    // Latents made from a different recording rarely have the right length for this one
+    if (wav && npy && npy.shape.length === 3) {
+        const frames = npy.shape[1];
+        const expected = wav.duration * LATENT_FRAME_RATE;
+        if (Math.abs(frames - expected) > Math.max(5, expected * 0.2)) {
+            warnings.push(`.npy has ${frames} frames where ${wav.duration.toFixed(1)}s of audio has about ${Math.round(expected)}, the pair may not belong together`);
+        }
+    }
+
+    const status = errors.length > 0 ? 'error' : warnings.length > 0 ? 'warning' : 'ok';
+    return { status, issues: [...errors, ...warnings], wav, npy };
+}
+
+/**
+ * Read the first bytes of a response and drop the rest of the download.
+ * @param {Response} response Response
+ * @param {number} length Bytes wanted
+ * @returns {Promise<Uint8Array>} Up to length bytes
+ */
+async function readResponsePrefix(response, length) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    while (received < length) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        chunks.push(value);
+        received += value.length;
+    }
+    reader.cancel().catch(() => {});
+    return new Uint8Array(await new Blob(chunks).arrayBuffer()).subarray(0, length);
+}
+
+// Generation parameters that can be overridden per voice, with their slider ranges
+const VOICE_OVERRIDE_FIELDS = [
+    { key: 'p_w', label: 'Intelligibility Weight', min: 1.0, max: 5.0, step: 0.1, parse: parseFloat },
+    { key: 't_w', label: 'Timbre Weight', min: 1.0, max: 5.0, step: 0.1, parse: parseFloat },
+    { key: 'infer_timestep', label: 'Diffusion Timestep', min: 4, max: 64, step: 1, parse: value => parseInt(value, 10) },
+];
+
+const GRADIO_FILE_COMPONENTS = ['audio', 'file', 'uploadbutton'];
+const GRADIO_NUMBER_COMPONENTS = ['number', 'slider'];
+
+// Endpoint layout of the stock MegaTTS3 Gradio UI, used when the app config can't be read
+const LEGACY_GRADIO_ENDPOINT = {
+    version: null,
+    majorVersion: null,
+    apiPrefix: '/gradio_api',
+    fnIndex: 0,
+    triggerId: 16,
+    apiName: null,
+    queue: true,
+    protocol: 'queue',
+    inputs: [
+        { role: 'audio', type: 'audio', defaultValue: null },
+        { role: 'npy', type: 'file', defaultValue: null },
+        { role: 'text', type: 'textbox', defaultValue: '' },
+        { role: 'timestep', type: 'number', defaultValue: 32 },
+        { role: 'p_w', type: 'number', defaultValue: 1.4 },
+        { role: 't_w', type: 'number', defaultValue: 3.0 },
+    ],
+};
 
 export class MegaTts3Provider {
     constructor() {
         this.settings = {
             server_url: 'http://localhost:7929',
             voice_directory: '/home/user1/MegaTTS3/assets/voices',  // Fix: remove leading dot
+            file_server_url: '',  // empty: the Gradio host on port 8000
+            file_server_root: '',  // server-side folder the file server serves; empty: guessed from the voice directory
             default_voice: 'default',
             p_w: 2.0,  // intelligibility weight
             t_w: 3.0,  // timbre weight
+            infer_timestep: 32,  // diffusion steps - fewer is faster, more is cleaner
+            narration_preset: 'custom',  // custom (sliders) or a QUALITY_PRESETS key
+            preview_preset: 'draft',
             speakingRate: 1.0,
+            streaming_mode: false,  // generate sentence by sentence, playing the first one as soon as it's ready
+            stream_min_chars: 40,  // shorter sentences are merged with the next one
+            audio_cache_enabled: true,  // keep generated audio in IndexedDB
+            audio_cache_limit_mb: 200,  // least recently played clips are evicted above this size
             voiceMap: {},
-            use_gradio_api: true,
+            voice_overrides: {},  // voice ID -> { p_w, t_w, infer_timestep }, missing values fall back to the globals
+            backend: 'gradio',  // a BACKENDS key
+            bridge_url: 'http://localhost:7930',
+            openai_url: 'http://localhost:8880/v1',  // base URL, /audio/speech is appended
+            openai_model: 'megatts3',
+            gradio_protocol: 'auto',  // auto | queue | call | predict
+            timeout_total: 600,  // seconds per attempt, across all phases
+            timeout_queue: 300,
+            timeout_inference: 60,  // minimum; long texts get more based on the measured speed
+            timeout_download: 30,
+            timeout_stall: 45,  // Gradio sends a heartbeat every 15s while a job is pending
+            log_level: 'info',  // error | warn | info | debug | trace
             auto_discover_voices: true,  // Auto-discover voices from directory
         };
         this.ready = false;
+        this.serverState = 'connecting';
+        this.heartbeatTimer = null;
+        this.heartbeatFailures = 0;
+        this.activeGenerations = 0;
+        this.disposed = false;
         this.voices = [];
         this.separator = ' ... ... ... ';
+        this.filterableVoiceMap = true;  // voice libraries run into the hundreds, so the voice map filters as you type
         this.pendingRequests = new Map();
-        this.nextRequestId = 1;
+        this.nextRequestId = 1;  // correlation id for log entries of one generation request
+        this.logger = new MegaTts3Logger(() => this.settings.log_level);
+        this.gradioEndpoint = null;
+        this.uploadCache = new Map();  // voice key -> { audio, npy, uploadedAt, validatedAt }
+        this.voiceMetadata = new Map();  // voice ID -> metadata from sidecars and the manifest
+        this.voiceFiles = new Map();  // voice ID -> listing entry with paths, sizes and modification times
+        this.localVoices = new Map();  // imported voice ID -> { size, importedAt }
+        this.voiceHealth = new Map();  // voice ID -> { status, issues, fingerprint } from the last file check
+        this.unpairedVoiceFiles = [];  // { path, missing } for files without their .wav/.npy partner
+        this.audioCacheStats = { hits: 0, misses: 0 };
+        this.secondsPerChar = null;  // moving average of measured inference time per character
+        this.previewUrls = new Map();  // preview key -> object URL of the stored preview clip
+        this.previewAudio = null;  // preview playing from previewTtsVoice, stopped when the next one starts
 
         // Update display values immediately but only reinitialize TTS after a delay
         this.checkServerDebounced = debounceAsync(this.checkServerStatus.bind(this), debounce_timeout.relaxed);
@@ -41,1363 +995,3202 @@ export class MegaTts3Provider {
     async loadSettings(settings) {
         if (settings.server_url !== undefined) this.settings.server_url = settings.server_url;
         if (settings.voice_directory !== undefined) this.settings.voice_directory = settings.voice_directory;
+        if (settings.file_server_url !== undefined) this.settings.file_server_url = settings.file_server_url;
+        if (settings.file_server_root !== undefined) this.settings.file_server_root = settings.file_server_root;
         if (settings.default_voice !== undefined) this.settings.default_voice = settings.default_voice;
         if (settings.p_w !== undefined) this.settings.p_w = settings.p_w;
         if (settings.t_w !== undefined) this.settings.t_w = settings.t_w;
+        if (settings.infer_timestep !== undefined) this.settings.infer_timestep = settings.infer_timestep;
+        if (settings.narration_preset !== undefined) this.settings.narration_preset = settings.narration_preset;
+        if (settings.preview_preset !== undefined) this.settings.preview_preset = settings.preview_preset;
         if (settings.speakingRate !== undefined) this.settings.speakingRate = settings.speakingRate;
+        if (settings.streaming_mode !== undefined) this.settings.streaming_mode = settings.streaming_mode;
+        if (settings.stream_min_chars !== undefined) this.settings.stream_min_chars = settings.stream_min_chars;
+        if (settings.audio_cache_enabled !== undefined) this.settings.audio_cache_enabled = settings.audio_cache_enabled;
+        if (settings.audio_cache_limit_mb !== undefined) this.settings.audio_cache_limit_mb = settings.audio_cache_limit_mb;
         if (settings.voiceMap !== undefined) this.settings.voiceMap = settings.voiceMap;
-        if (settings.use_gradio_api !== undefined) this.settings.use_gradio_api = settings.use_gradio_api;
+        if (settings.voice_overrides !== undefined) this.settings.voice_overrides = settings.voice_overrides;
+        if (settings.backend !== undefined) this.settings.backend = settings.backend;
+        // Older versions had a checkbox whose unchecked state meant the (never implemented) CLI mode
+        else if (settings.use_gradio_api === false) this.settings.backend = 'bridge';
+        if (settings.bridge_url !== undefined) this.settings.bridge_url = settings.bridge_url;
+        if (settings.openai_url !== undefined) this.settings.openai_url = settings.openai_url;
+        // Older versions kept the API key in the settings, it belongs in the secrets store
+        if (settings.openai_api_key) {
+            await writeSecret(OPENAI_SECRET_KEY, settings.openai_api_key);
+            delete settings.openai_api_key;
+            toastr.info('The MegaTTS3 speech server API key was moved from the extension settings into SillyTavern\'s secrets store.');
+        }
+        if (settings.openai_model !== undefined) this.settings.openai_model = settings.openai_model;
+        if (settings.gradio_protocol !== undefined) this.settings.gradio_protocol = settings.gradio_protocol;
+        for (const field of TIMEOUT_FIELDS) {
+            if (settings[field.key] !== undefined) this.settings[field.key] = settings[field.key];
+        }
+        if (settings.log_level !== undefined) this.settings.log_level = settings.log_level;
         if (settings.auto_discover_voices !== undefined) this.settings.auto_discover_voices = settings.auto_discover_voices;
 
         // Bind UI elements
         $('#megatts3_server_url').val(this.settings.server_url).on('input', this.onSettingsChange.bind(this));
         $('#megatts3_voice_directory').val(this.settings.voice_directory).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_file_server_url').val(this.settings.file_server_url).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_file_server_root').val(this.settings.file_server_root).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_check_file_server').on('click', this.onCheckFileServerClick.bind(this));
         $('#megatts3_default_voice').val(this.settings.default_voice).on('input', this.onSettingsChange.bind(this));
         $('#megatts3_p_w').val(this.settings.p_w).on('input', this.onSettingsChange.bind(this));
         $('#megatts3_t_w').val(this.settings.t_w).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_infer_timestep').val(this.settings.infer_timestep).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_narration_preset').val(this.settings.narration_preset).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_preview_preset').val(this.settings.preview_preset).on('change', this.onSettingsChange.bind(this));
         $('#megatts3_speaking_rate').val(this.settings.speakingRate).on('input', this.onSettingsChange.bind(this));
-        $('#megatts3_use_gradio_api').prop('checked', this.settings.use_gradio_api).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_streaming_mode').prop('checked', this.settings.streaming_mode).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_stream_min_chars').val(this.settings.stream_min_chars).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_audio_cache_enabled').prop('checked', this.settings.audio_cache_enabled).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_audio_cache_limit_mb').val(this.settings.audio_cache_limit_mb).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_clear_audio_cache').on('click', this.onClearAudioCacheClick.bind(this));
+        $('#megatts3_backend').val(this.settings.backend).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_bridge_url').val(this.settings.bridge_url).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_openai_url').val(this.settings.openai_url).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_openai_api_key').toggleClass('success', Boolean(secret_state[OPENAI_SECRET_KEY])).on('change', this.onOpenAiKeyChange.bind(this));
+        $('#megatts3_clear_openai_api_key').on('click', this.onClearOpenAiKeyClick.bind(this));
+        $('#megatts3_openai_model').val(this.settings.openai_model).on('input', this.onSettingsChange.bind(this));
+        $('#megatts3_gradio_protocol').val(this.settings.gradio_protocol).on('change', this.onSettingsChange.bind(this));
+        for (const field of TIMEOUT_FIELDS) {
+            $(`#megatts3_${field.key}`).val(this.settings[field.key]).on('input', this.onSettingsChange.bind(this));
+        }
+        $('#megatts3_log_level').val(this.settings.log_level).on('change', this.onSettingsChange.bind(this));
+        $('#megatts3_download_logs').on('click', this.onDownloadLogsClick.bind(this));
         $('#megatts3_auto_discover_voices').prop('checked', this.settings.auto_discover_voices).on('change', this.onSettingsChange.bind(this));
         
         // Bind refresh button
         $('#megatts3_refresh_voices').on('click', this.onRefreshVoicesClick.bind(this));
+        $('#megatts3_check_voices').on('click', this.onCheckVoicesClick.bind(this));
+        $('#megatts3_import_voices').on('click', this.onImportVoicesClick.bind(this));
+        $('#megatts3_run_diagnostics').on('click', this.onRunDiagnosticsClick.bind(this));
+        $('#megatts3_copy_diagnostics').on('click', () => copyText(this.diagnosticsReport ?? ''));
+
+        // Per-voice overrides editor
+        $('#megatts3_voice_tuning_voice').on('change', () => this.renderVoiceTuningEditor());
+        for (const field of VOICE_OVERRIDE_FIELDS) {
+            $(`#megatts3_voice_tuning_${field.key}_enabled`).on('change', this.onVoiceTuningChange.bind(this));
+            $(`#megatts3_voice_tuning_${field.key}`).on('input', this.onVoiceTuningChange.bind(this));
+        }
+        $('#megatts3_voice_tuning_preview').on('click', this.onVoiceTuningPreviewClick.bind(this));
+        $('#megatts3_voice_tuning_reset').on('click', this.onVoiceTuningResetClick.bind(this));
         
         // Update output displays
         $('#megatts3_p_w_output').text(this.settings.p_w);
         $('#megatts3_t_w_output').text(this.settings.t_w);
+        $('#megatts3_infer_timestep_output').text(this.settings.infer_timestep);
         $('#megatts3_speaking_rate_output').text(this.settings.speakingRate + 'x');
+        this.renderFileServerMapping();
+
+        this.updateAudioCacheStats();
 
         // Initial server check and voice discovery
+        this.setServerState('connecting');
         await this.checkServerStatus();
+        this.scheduleHeartbeat();
     }
 
-    async checkServerStatus() {
-        try {
-            // First try to access the main Gradio interface
-            const response = await fetch(`${this.settings.server_url}/`);
-            
-            if (response.ok) {
-                this.ready = true;
-                this.updateStatusDisplay('Ready', 'green');
-                
-                // Try to discover available API endpoints
-                await this.discoverApiEndpoints();
-                
-                // Try to load available voices
-                await this.loadAvailableVoices();
-            } else {
-                this.ready = false;
-                this.updateStatusDisplay('Server Error', 'red');
+    /**
+     * Check the Gradio server and the voice file server and update the connection state.
+     * Voices and the API endpoint are discovered again on a full check, or when a server comes back.
+     * @param {object} [options]
+     * @param {boolean} [options.rediscover] Discover endpoints and voices even if nothing changed
+     * @returns {Promise<string>} New state, a SERVER_STATES key
+     */
+    async checkServerStatus({ rediscover = true } = {}) {
+        const previousState = this.serverState;
+        const gradio = this.settings.backend === 'gradio';
+        // A speech server lists its own voices, the other backends need the file server for that
+        const [server, fileServerUp] = await Promise.all([
+            this.probeBackend(),
+            this.settings.backend === 'openai' ? true : this.probeFileServer(),
+        ]);
+
+        if (!server.reachable) {
+            this.logger.error('MegaTTS3 server check failed:', server.error);
+            // Server went away - its temp files may be gone when it comes back
+            this.uploadCache.clear();
+            this.setServerState('offline', server.error);
+            return this.serverState;
+        }
+
+        const reconnected = !SERVER_STATES[previousState].ready;
+        const fileServerBack = previousState === 'file_server_down' && fileServerUp;
+        if (gradio && (rediscover || reconnected || !this.gradioEndpoint)) {
+            if (reconnected && previousState !== 'connecting') {
+                this.logger.info('🔌 MegaTTS3 server is back, discovering endpoints and voices again');
             }
+            await this.discoverApiEndpoints();
+        }
+        if (rediscover || reconnected || fileServerBack) {
+            await this.loadAvailableVoices();
+        }
+
+        if (!server.ok) {
+            this.setServerState('degraded', server.detail ?? `server returned ${server.status}`);
+        } else if (gradio && this.gradioEndpoint?.fallback) {
+            this.setServerState('degraded', 'no TTS function found in the Gradio config');
+        } else if (!fileServerUp) {
+            this.setServerState('file_server_down', `${this.getFileServerBaseUrl()} not reachable`);
+        } else {
+            this.setServerState(this.activeGenerations > 0 ? 'busy' : 'ready');
+        }
+        return this.serverState;
+    }
+
+    async probeGradioServer() {
+        try {
+            const response = await fetch(`${this.settings.server_url}/`, { signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) });
+            return { reachable: true, ok: response.ok, status: response.status };
         } catch (error) {
-            console.error('MegaTTS3 server check failed:', error);
-            this.ready = false;
-            this.updateStatusDisplay('Not Connected', 'red');
+            return { reachable: false, error: error.name === 'TimeoutError' ? 'no response' : error.message };
         }
     }
 
-    async discoverApiEndpoints() {
-        console.log('Discovering MegaTTS3 API endpoints...');
-        
-        // Try to get the Gradio config which tells us about available endpoints
-        const configEndpoints = [
-            '/config',
-            '/api/config', 
-            '/info',
-            '/api/info',
-            '/app_info',
-            '/api'
-        ];
-        
-        for (const endpoint of configEndpoints) {
-            try {
-                const response = await fetch(`${this.settings.server_url}${endpoint}`);
-                if (response.ok) {
-                    const data = await response.json();
-                    console.log('Found config at', endpoint, ':', data);
-                    
-                    // Look for function information that might tell us the correct endpoint
-                    if (data.dependencies) {
-                        console.log('Available functions:', data.dependencies);
-                        data.dependencies.forEach((dep, index) => {
-                            console.log('Function', index, ':', dep);
-                        });
-                    }
-                    
-                    if (data.paths) {
-                        console.log('Available paths:', data.paths);
-                    }
-                    
-                    if (data.endpoints) {
-                        console.log('Available endpoints:', data.endpoints);
-                    }
-                    
-                    break;
-                }
-            } catch (error) {
-                // Continue to next endpoint
-            }
+    /**
+     * Probe the server the configured backend generates on.
+     * @returns {Promise<{reachable: boolean, ok?: boolean, status?: number, detail?: string, error?: string}>} Reachability and health
+     */
+    async probeBackend() {
+        switch (this.settings.backend) {
+            case 'bridge':
+                return await this.probeBridge();
+            case 'openai':
+                return await this.probeOpenAiServer();
+            default:
+                return await this.probeGradioServer();
         }
-        
-        // Also try to discover by checking common patterns - prioritize /predict
-        console.log('Testing common endpoint patterns...');
-        const testEndpoints = [
-            '/predict',         // This should be the correct one according to API recorder
-            '/run/predict',     // Alternative
-            '/api/predict',     // Alternative 
-            '/api/run/predict',
-            '/call/predict',
-            '/queue/join',
-            '/api/queue/join'
-        ];
-        
-        for (const endpoint of testEndpoints) {
-            try {
-                // Send a minimal test request to see what happens
-                const testResponse = await fetch(`${this.settings.server_url}${endpoint}`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ data: [] })
-                });
-                
-                const statusInfo = {
-                    endpoint: endpoint,
-                    status: testResponse.status,
-                    statusText: testResponse.statusText
-                };
-                
-                if (testResponse.status !== 404) {
-                    console.log('Potential working endpoint found:', statusInfo);
-                    try {
-                        const responseText = await testResponse.text();
-                        console.log('Response preview:', responseText.substring(0, 200));
-                    } catch (e) {
-                        // Ignore response reading errors
-                    }
-                } else {
-                    console.log('404 endpoint:', endpoint);
-                }
-            } catch (error) {
-                console.log(endpoint, 'error:', error.message);
+    }
+
+    /**
+     * @returns {string} URL of the server the configured backend generates on, without a trailing slash
+     */
+    getBackendUrl() {
+        switch (this.settings.backend) {
+            case 'bridge':
+                return this.getBridgeUrl();
+            case 'openai':
+                return this.getOpenAiUrl();
+            default:
+                return this.settings.server_url;
+        }
+    }
+
+    async probeBridge() {
+        try {
+            const response = await fetch(`${this.getBridgeUrl()}/v1/health`, { cache: 'no-store', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) });
+            const health = await response.json().catch(() => null);
+            if (response.ok && health?.status === 'loading') {
+                return { reachable: true, ok: false, status: response.status, detail: 'bridge is still loading the model' };
             }
+            return { reachable: true, ok: response.ok && health?.status === 'ok', status: response.status };
+        } catch (error) {
+            return { reachable: false, error: error.name === 'TimeoutError' ? 'no response' : error.message };
         }
     }
 
-    async loadAvailableVoices() {
-        if (this.settings.auto_discover_voices) {
-            console.log('🔍 Auto-discovering voices from directory...');
-            this.updateVoiceStatus('Discovering voices...', 'blue');
-            
-            try {
-                const discoveredVoices = await this.discoverVoicesFromDirectory();
-                if (discoveredVoices.length > 0) {
-                    this.voices = discoveredVoices;
-                    console.log('✅ Auto-discovered voices:', this.voices);
-                    
-                    // Show concise status for many voices
-                    if (this.voices.length <= 5) {
-                        this.updateVoiceStatus(`Found ${this.voices.length} voices: ${this.voices.join(', ')}`, 'green');
-                    } else {
-                        const preview = this.voices.slice(0, 3).join(', ');
-                        this.updateVoiceStatus(`Found ${this.voices.length} voices: ${preview} and ${this.voices.length - 3} more`, 'green');
-                    }
-                } else {
-                    console.warn('⚠️ No voices discovered, using fallback');
-                    this.voices = [this.settings.default_voice || 'default'];
-                    this.updateVoiceStatus('No voices found. Check voice directory and CORS server.', 'orange');
-                }
-            } catch (error) {
-                console.error('❌ Voice discovery failed:', error);
-                this.voices = [this.settings.default_voice || 'default'];
-                this.updateVoiceStatus(`Discovery failed: ${error.message}`, 'red');
-            }
-        } else {
-            // Manual mode - use default voice only
-            this.voices = [this.settings.default_voice || 'default'];
-            this.updateVoiceStatus('Auto-discovery disabled. Using default voice only.', 'gray');
-            console.log('📝 Manual mode - using default voice:', this.voices);
-        }
+    getBridgeUrl() {
+        return this.settings.bridge_url.replace(/\/+$/, '');
     }
 
-    async discoverVoicesFromDirectory() {
-        let discoveredVoices = [];
-        
-        // Get the CORS server URL (port 8000)
-        const corsServerUrl = this.settings.server_url.replace(':7929', ':8000');
-        
-        // Extract relative path from voice directory
-        const relativePath = this.settings.voice_directory.includes('/assets/') ? 
-            this.settings.voice_directory.substring(this.settings.voice_directory.indexOf('/assets/')) : 
-            `/assets/voices`;
-        
-        console.log('🔍 Checking CORS server for voices:', corsServerUrl + relativePath);
-        
+    async probeOpenAiServer() {
         try {
-            // Method 1: Try to get directory listing from CORS server
-            const listingUrl = `${corsServerUrl}${relativePath}/?list=1`;
-            console.log('📂 Attempting directory listing:', listingUrl);
-            
-            let useDirectoryListing = false;
-            try {
-                const listingResponse = await fetch(listingUrl);
-                if (listingResponse.ok) {
-                    const listingText = await listingResponse.text();
-                    console.log('📋 Directory listing received:', listingText.substring(0, 500));
-                    
-                    // Parse directory listing for voice files - handle HTML links and spaces
-                    let wavFiles = [];
-                    let npyFiles = [];
-                    
-                    // Method 1: Parse HTML href links (handles spaces and URL encoding)
-                    const hrefMatches = listingText.matchAll(/href=["']([^"']*\.(wav|npy))["']/gi);
-                    for (const match of hrefMatches) {
-                        const filename = decodeURIComponent(match[1]); // Decode %20 -> space
-                        const basename = filename.replace(/\.(wav|npy)$/, '');
-                        
-                        if (filename.endsWith('.wav')) {
-                            wavFiles.push(basename);
-                        } else if (filename.endsWith('.npy')) {
-                            npyFiles.push(basename);
-                        }
-                    }
-                    
-                    // Method 2: Fallback - parse plain text (if no HTML)
-                    if (wavFiles.length === 0 && npyFiles.length === 0) {
-                        console.log('📋 No HTML links found, trying plain text parsing...');
-                        const wavMatches = listingText.matchAll(/([^\s<>\/]+\.wav)/gi);
-                        const npyMatches = listingText.matchAll(/([^\s<>\/]+\.npy)/gi);
-                        
-                        for (const match of wavMatches) {
-                            const basename = match[1].replace('.wav', '');
-                            wavFiles.push(basename);
-                        }
-                        
-                        for (const match of npyMatches) {
-                            const basename = match[1].replace('.npy', '');
-                            npyFiles.push(basename);
-                        }
-                    }
-                    
-                    console.log('📁 Found WAV files:', wavFiles);
-                    console.log('📁 Found NPY files:', npyFiles);
-                    
-                    // Only include voices that have both .wav and .npy files
-                    const validVoices = wavFiles.filter(name => npyFiles.includes(name));
-                    console.log('🎯 Valid voice pairs found via listing:', validVoices);
-                    
-                    if (validVoices.length > 0) {
-                        discoveredVoices = validVoices;
-                        useDirectoryListing = true;
-                    }
-                }
-            } catch (listingError) {
-                console.log('📂 Directory listing not available, trying probe method');
-            }
-            
-            // Method 2: Only probe if directory listing failed or found no voices
-            if (!useDirectoryListing) {
-                console.log('🔍 Probing for common voice files...');
-                const commonVoiceNames = [
-                    'default', 'female', 'male', 'english', 'chinese', 
-                    'diablo', 'character', 'voice1', 'voice2', 'voice3',
-                    'speaker1', 'speaker2', 'narrator', 'main', 'p1-denoise'
-                ];
-                
-                for (const voiceName of commonVoiceNames) {
-                    try {
-                        const hasValidPair = await this.checkVoiceFilePair(voiceName, corsServerUrl, relativePath);
-                        if (hasValidPair) {
-                            discoveredVoices.push(voiceName);
-                            console.log('✅ Found valid voice pair:', voiceName);
-                        }
-                    } catch (error) {
-                        // Continue checking other voices
-                    }
-                }
+            const response = await fetch(`${this.getOpenAiUrl()}/models`, { headers: await this.getOpenAiHeaders(), cache: 'no-store', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) });
+            if (response.status === 401 || response.status === 403) {
+                return { reachable: true, ok: false, status: response.status, detail: 'API key rejected' };
             }
-            
-            // Remove duplicates and sort
-            const uniqueVoices = [...new Set(discoveredVoices)].sort();
-            console.log('🎯 Final unique voices:', uniqueVoices);
-            
-            return uniqueVoices;
-            
+            // Not every speech server implements /models, answering at all is enough
+            return { reachable: true, ok: response.ok || response.status === 404, status: response.status };
         } catch (error) {
-            console.error('❌ Voice discovery failed:', error);
-            throw new Error('Failed to discover voices from directory');
+            if (error instanceof MegaTts3Error) {
+                // The key couldn't be read, the server wasn't asked
+                return { reachable: true, ok: false, detail: error.message };
+            }
+            return { reachable: false, error: error.name === 'TimeoutError' ? 'no response' : error.message };
         }
     }
 
-    async checkVoiceFilePair(voiceName, corsServerUrl, relativePath) {
-        // Check if both .wav and .npy files exist for this voice
-        const wavUrl = `${corsServerUrl}${relativePath}/${voiceName}.wav`;
-        const npyUrl = `${corsServerUrl}${relativePath}/${voiceName}.npy`;
-        
-        console.log(`🔍 Checking voice pair: ${voiceName}`);
-        
-        try {
-            // Check both files with HEAD requests (faster than GET)
-            const [wavResponse, npyResponse] = await Promise.all([
-                fetch(wavUrl, { method: 'HEAD' }),
-                fetch(npyUrl, { method: 'HEAD' })
-            ]);
-            
-            const hasWav = wavResponse.ok;
-            const hasNpy = npyResponse.ok;
-            
-            console.log(`📁 ${voiceName}: WAV=${hasWav}, NPY=${hasNpy}`);
-            
-            return hasWav && hasNpy;
-        } catch (error) {
-            console.log(`❌ Error checking ${voiceName}:`, error.message);
-            return false;
-        }
+    getOpenAiUrl() {
+        return this.settings.openai_url.replace(/\/+$/, '');
     }
 
-    updateVoiceStatus(message, color) {
-        const statusElement = $('#megatts3_voice_status');
-        if (statusElement.length) {
-            statusElement.text(message).css('color', color);
+    /**
+     * Add the API key from the secrets store. It is read for each request and never kept on the provider.
+     * @param {object} [headers] Headers to send along
+     * @returns {Promise<object>} Headers with the API key, when one is set
+     */
+    async getOpenAiHeaders(headers = {}) {
+        if (!secret_state[OPENAI_SECRET_KEY]) {
+            return headers;
+        }
+        const key = await findSecret(OPENAI_SECRET_KEY);
+        if (!key) {
+            throw new MegaTts3Error('config', 'A speech server API key is saved, but SillyTavern won\'t let the browser read it', {
+                hint: 'Requests go from the browser straight to the speech server. Clear the key if the server doesn\'t need one, or put the server behind a proxy that adds it.',
+            });
         }
+        return { ...headers, 'Authorization': `Bearer ${key}` };
     }
 
-    async onRefreshVoicesClick() {
-        console.log('🔄 Manual voice refresh requested');
-        this.updateVoiceStatus('Refreshing voices...', 'blue');
-        await this.loadAvailableVoices();
-        
-        // Trigger a UI update if needed
-        if (typeof saveTtsProviderSettings === 'function') {
-            saveTtsProviderSettings();
+    async onOpenAiKeyChange() {
+        const input = $('#megatts3_openai_api_key');
+        const key = String(input.val()).trim();
+        // An emptied field isn't a request to remove the key, the clear button is
+        if (!key) {
+            return;
         }
-        
-        return true;
+        await writeSecret(OPENAI_SECRET_KEY, key);
+        // The field only shows whether a key is stored, never the key itself
+        input.val('').toggleClass('success', Boolean(secret_state[OPENAI_SECRET_KEY]));
+        this.checkServerDebounced();
     }
 
-    updateStatusDisplay(text, color) {
-        $('#megatts3_status_text').text(text).css('color', color);
+    async onClearOpenAiKeyClick() {
+        await writeSecret(OPENAI_SECRET_KEY, '');
+        $('#megatts3_openai_api_key').val('').toggleClass('success', Boolean(secret_state[OPENAI_SECRET_KEY]));
+        toastr.info('MegaTTS3 speech server API key cleared');
+        this.checkServerDebounced();
     }
 
-    async checkReady() {
-        if (!this.ready) {
-            await this.checkServerStatus();
+    async probeFileServer() {
+        try {
+            const response = await fetch(`${this.getFileServerBaseUrl()}/`, { method: 'HEAD', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) });
+            return response.ok;
+        } catch {
+            return false;
         }
-        return this.ready;
-    }
-
-    async onRefreshClick() {
-        return await this.checkServerStatus();
     }
 
-    get settingsHtml() {
-        return `
-            <div class="megatts3_tts_settings">
-                <label for="megatts3_server_url">Server URL:</label>
-                <input id="megatts3_server_url" type="text" class="text_pole" value="${this.settings.server_url}" />
-                <small>URL where MegaTTS3 gradio interface is running (default: http://localhost:7929)</small>
-
-                <label for="megatts3_voice_directory">Voice Directory:</label>
-                <input id="megatts3_voice_directory" type="text" class="text_pole" value="${this.settings.voice_directory}" />
-                <small>**Absolute path** to directory containing reference audio files and .npy latents (relative to MegaTTS3 server, not SillyTavern)</small>
+    /**
+     * Move to a connection state, updating the status line and announcing changes that matter to the user.
+     * @param {string} state SERVER_STATES key
+     * @param {string} [detail] Reason shown next to the state
+     */
+    setServerState(state, detail = '') {
+        const previousState = this.serverState;
+        const { label, color, ready } = SERVER_STATES[state];
 
-                <label for="megatts3_default_voice">Default Voice:</label>
-                <input id="megatts3_default_voice" type="text" class="text_pole" value="${this.settings.default_voice}" />
-                <small>Default voice name (without file extension)</small>
+        this.serverState = state;
+        this.ready = ready;
+        this.updateStatusDisplay(detail ? `${label} (${detail})` : label, color);
 
-                <div style="margin: 15px 0;">
-                    <label>
-                        <input id="megatts3_auto_discover_voices" type="checkbox" ${this.settings.auto_discover_voices ? 'checked' : ''} />
-                        Auto-discover voices from directory
-                    </label>
-                    <button id="megatts3_refresh_voices" type="button" style="margin-left: 10px; padding: 5px 10px;">🔄 Refresh Voices</button>
-                    <br>
-                    <small>Automatically finds voices (.wav + .npy pairs) in the voice directory. Requires CORS server on port 8000.</small>
-                    <div id="megatts3_voice_status" style="margin-top: 5px; font-size: 0.9em;"></div>
-                </div>
+        if (state === previousState) {
+            return;
+        }
+        this.logger.info(`🔌 MegaTTS3 connection: ${previousState} -> ${state}${detail ? ` (${detail})` : ''}`);
 
-                <label for="megatts3_p_w">Intelligibility Weight: <span id="megatts3_p_w_output">${this.settings.p_w}</span></label>
-                <input id="megatts3_p_w" type="range" value="${this.settings.p_w}" min="1.0" max="5.0" step="0.1" />
-                <small>Higher values = clearer pronunciation, lower = more accent preservation</small>
+        // Ready <-> Busy happens on every generation, only problems and recoveries get a toast
+        const quiet = ['ready', 'busy'];
+        if (quiet.includes(state) && quiet.includes(previousState)) {
+            return;
+        }
+        if (state === 'offline') {
+            toastr.error(`MegaTTS3 server is offline${detail ? `: ${detail}` : ''}`);
+        } else if (state === 'file_server_down') {
+            toastr.warning('MegaTTS3 voice file server is down. Voices can\'t be discovered or uploaded.');
+        } else if (state === 'degraded') {
+            toastr.warning(`MegaTTS3 server is degraded: ${detail}`);
+        } else if (state === 'ready' && previousState !== 'connecting') {
+            toastr.success('MegaTTS3 server is back');
+        }
+    }
 
-                <label for="megatts3_t_w">Timbre Weight: <span id="megatts3_t_w_output">${this.settings.t_w}</span></label>
-                <input id="megatts3_t_w" type="range" value="${this.settings.t_w}" min="1.0" max="5.0" step="0.1" />
-                <small>Higher values = more expressive and similar to reference voice</small>
+    /**
+     * Run the next heartbeat after the normal interval, or after an exponentially growing delay while unhealthy.
+     * @param {number} [delay] Override the computed delay
+     */
+    scheduleHeartbeat(delay) {
+        clearTimeout(this.heartbeatTimer);
+        if (this.disposed) {
+            return;
+        }
 
-                <label for="megatts3_speaking_rate">Speaking Rate: <span id="megatts3_speaking_rate_output">${this.settings.speakingRate}x</span></label>
-                <input id="megatts3_speaking_rate" type="range" value="${this.settings.speakingRate}" min="0.5" max="2.0" step="0.1" />
+        const healthy = this.serverState === 'ready' || this.serverState === 'busy';
+        this.heartbeatFailures = healthy ? 0 : this.heartbeatFailures + 1;
+        const backoff = Math.min(HEARTBEAT_RETRY_MAX, HEARTBEAT_RETRY_MIN * 2 ** (this.heartbeatFailures - 1));
 
-                <label>
-                    <input id="megatts3_use_gradio_api" type="checkbox" ${this.settings.use_gradio_api ? 'checked' : ''} />
-                    Use Gradio API (recommended)
-                </label>
-                <small>If unchecked, will attempt to use CLI interface</small>
+        this.heartbeatTimer = setTimeout(async () => {
+            try {
+                await this.checkServerStatus({ rediscover: false });
+            } catch (error) {
+                this.logger.error('❌ MegaTTS3 heartbeat failed:', error);
+            }
+            this.scheduleHeartbeat();
+        }, delay ?? (healthy ? HEARTBEAT_INTERVAL : backoff));
+    }
 
-                <hr>
-                <div>
-                    Status: <span id="megatts3_status_text">Initializing...</span>
-                </div>
-                <div style="margin-top: 10px;">
-                    <small>
-                        <strong>Setup Instructions:</strong><br>
-                        1. Install MegaTTS3: <code>git clone https://github.com/bytedance/MegaTTS3.git</code><br>
-                        2. Install dependencies: <code>pip install -r requirements.txt</code><br>
-                        3. Download checkpoints to <code>./checkpoints/</code><br>
-                        4. Run gradio server: <code>python tts/gradio_api.py</code><br>
-                        5. Run CORS server: <code>python cors_server.py</code> (for voice auto-discovery)<br>
-                        6. Place voice files (.wav) and latents (.npy) in voice directory<br><br>
-                        <strong>Note:</strong> "attention_mask" warnings in MegaTTS3 console are normal and don't affect audio quality.
-                    </small>
-                </div>
-            </div>
-        `;
+    onGenerationStarted() {
+        this.activeGenerations++;
+        if (this.serverState === 'ready') {
+            this.setServerState('busy');
+        }
     }
 
-    async onSettingsChange() {
-        this.settings.server_url = $('#megatts3_server_url').val().toString();
-        this.settings.voice_directory = $('#megatts3_voice_directory').val().toString();
-        this.settings.default_voice = $('#megatts3_default_voice').val().toString();
-        this.settings.p_w = parseFloat($('#megatts3_p_w').val().toString());
-        this.settings.t_w = parseFloat($('#megatts3_t_w').val().toString());
-        this.settings.speakingRate = parseFloat($('#megatts3_speaking_rate').val().toString());
-        this.settings.use_gradio_api = $('#megatts3_use_gradio_api').prop('checked');
-        this.settings.auto_discover_voices = $('#megatts3_auto_discover_voices').prop('checked');
+    onGenerationFinished(failed) {
+        this.activeGenerations = Math.max(0, this.activeGenerations - 1);
+        if (this.activeGenerations === 0 && this.serverState === 'busy') {
+            this.setServerState('ready');
+        }
+        // A failure may mean the server restarted, check right away instead of waiting for the next beat
+        if (failed) {
+            this.scheduleHeartbeat(0);
+        }
+    }
 
-        // Update UI displays
-        $('#megatts3_p_w_output').text(this.settings.p_w);
-        $('#megatts3_t_w_output').text(this.settings.t_w);
-        $('#megatts3_speaking_rate_output').text(this.settings.speakingRate + 'x');
+    /**
+     * Read the Gradio app config and locate the MegaTTS3 TTS function in it.
+     * Falls back to the endpoint layout of the stock MegaTTS3 UI when no config can be read.
+     * @returns {Promise<object>} Resolved endpoint description, also stored in this.gradioEndpoint
+     */
+    async discoverApiEndpoints() {
+        this.logger.debug('Discovering MegaTTS3 API endpoints...');
 
-        // Reload voices when auto-discovery setting changes or voice directory changes
-        await this.loadAvailableVoices();
+        const config = await this.fetchGradioConfig();
+        let endpoint = null;
 
-        // Check server with debounce
-        this.checkServerDebounced();
-        saveTtsProviderSettings();
-    }
+        if (config) {
+            endpoint = this.resolveTtsEndpoint(config);
+            if (!endpoint) {
+                this.logger.warn('⚠️ Gradio config has no function matching the MegaTTS3 signature (wav, npy, text, timestep, p_w, t_w)');
+            }
+        }
 
-    async fetchTtsVoiceObjects() {
-        if (!this.ready) {
-            await this.checkReady();
+        if (!endpoint) {
+            this.logger.warn('⚠️ Falling back to the default MegaTTS3 endpoint layout');
+            endpoint = { ...LEGACY_GRADIO_ENDPOINT, protocol: this.getGradioProtocol(LEGACY_GRADIO_ENDPOINT), fallback: true };
         }
-        
-        return this.voices.map(voice => ({
-            name: voice,           // Full voice name (e.g., "p1-denoise")
-            voice_id: voice,       // Full voice ID (e.g., "p1-denoise") 
-            preview_url: null,
-            lang: voice.includes('chinese') ? 'zh-CN' : 'en-US',
-            // Ensure SillyTavern displays the full name including dashes
-            display_name: voice,   // Explicit display name
-        }));
+
+        this.logger.info('🎯 Using MegaTTS3 endpoint:', endpoint);
+        this.gradioEndpoint = endpoint;
+        return endpoint;
     }
 
-    async previewTtsVoice(voiceId) {
-        if (!this.ready) {
-            await this.checkReady();
-        }
+    async fetchGradioConfig() {
+        const configEndpoints = ['/config', '/gradio_api/config'];
 
-        const voice = this.getVoice(voiceId);
-        // Shorter preview text to reduce GPU usage and inference time
-        const previewText = voice.lang === 'zh-CN' ? '你好，这是语音预览。' : 'Hello, this is a voice preview.';
-        
-        console.log('🎵 Playing voice preview for:', voiceId, 'Text:', previewText);
-        
-        try {
-            for await (const response of this.generateTts(previewText, voiceId)) {
-                const audio = await response.blob();
-                const url = URL.createObjectURL(audio);
-                await new Promise(resolve => {
-                    const audioElement = new Audio();
-                    audioElement.src = url;
-                    audioElement.play();
-                    audioElement.onended = () => resolve();
-                });
-                URL.revokeObjectURL(url);
-                break; // Only play first chunk for preview
+        for (const endpoint of configEndpoints) {
+            try {
+                const response = await fetch(`${this.settings.server_url}${endpoint}`);
+                if (response.ok) {
+                    const config = await response.json();
+                    if (Array.isArray(config?.dependencies) && Array.isArray(config?.components)) {
+                        this.logger.debug('Found Gradio config at', endpoint, '- version', config.version || 'unknown');
+                        return config;
+                    }
+                }
+            } catch (error) {
+                // Continue to next endpoint
             }
-        } catch (error) {
-            console.error('Preview failed:', error);
         }
-    }
-
-    getVoiceDisplayName(voiceId) {
-        // Return the full voice ID including dashes and special characters
-        return voiceId;
-    }
 
-    getVoice(voiceName) {
-        const defaultVoice = this.settings.default_voice || 'default';
-        const actualVoiceName = this.voices.includes(voiceName) ? voiceName : defaultVoice;
-        return {
-            name: actualVoiceName,           // Full name with dashes (e.g., "p1-denoise")
-            voice_id: actualVoiceName,       // Full voice ID with dashes
-            preview_url: null,
-            lang: actualVoiceName.includes('chinese') ? 'zh-CN' : 'en-US',
-            display_name: actualVoiceName,   // Explicit display name
-        };
+        this.logger.warn('⚠️ Could not read the Gradio config from', this.settings.server_url);
+        return null;
     }
 
     /**
-     * Generate TTS audio using MegaTTS3
-     * @param {string} text Text to generate
-     * @param {string} voiceId Voice ID
-     * @returns {AsyncGenerator<Response>} Audio response generator
+     * Find the TTS function in a Gradio config by its input signature:
+     * two file inputs (.wav and .npy), a textbox and three numbers (timestep, p_w, t_w).
+     * @param {object} config Gradio app config
+     * @returns {object|null} Endpoint description, or null if nothing matches
      */
-    async* generateTts(text, voiceId) {
-        if (!this.ready) {
-            await this.checkReady();
-        }
-
-        if (!this.ready) {
-            throw new Error('MegaTTS3 server not ready');
-        }
+    resolveTtsEndpoint(config) {
+        const components = new Map(config.components.map(component => [component.id, component]));
+        const majorVersion = parseInt(String(config.version || '').split('.')[0], 10) || null;
 
-        if (text.trim().length === 0) {
-            throw new Error('Empty text');
-        }
-
-        const voice = this.getVoice(voiceId);
-        const processedText = this.processText(text);
+        for (let index = 0; index < config.dependencies.length; index++) {
+            const dependency = config.dependencies[index];
+            const inputs = (dependency.inputs || []).map(id => components.get(id));
 
-        // For MegaTTS3, avoid chunking unless text is extremely long (>1000 chars)
-        // This prevents multiple GPU inference calls for normal-length text
-        const maxLength = 1000;
-        
-        if (processedText.length <= maxLength) {
-            // Single request for normal text - most efficient
-            console.log('🎯 Single inference for text length:', processedText.length, 'characters');
-            if (this.settings.use_gradio_api) {
-                yield await this.generateWithGradioApi(processedText, voice.voice_id);
-            } else {
-                yield await this.generateWithCli(processedText, voice.voice_id);
+            if (inputs.length === 0 || inputs.some(component => !component)) {
+                continue;
             }
-        } else {
-            // Only chunk for very long texts
-            console.log('📝 Chunking long text:', processedText.length, 'characters');
-            const chunkSize = 500; // Larger chunks for fewer requests
-            const chunks = splitRecursive(processedText, chunkSize, ['\n\n', '\n', '.', '?', '!', ',', ' ', '']);
-            console.log('📦 Created', chunks.length, 'chunks');
-            
-            for (let i = 0; i < chunks.length; i++) {
-                console.log(`🎵 Processing chunk ${i + 1}/${chunks.length}`);
-                if (this.settings.use_gradio_api) {
-                    yield await this.generateWithGradioApi(chunks[i], voice.voice_id);
-                } else {
-                    yield await this.generateWithCli(chunks[i], voice.voice_id);
-                }
+
+            const roles = this.assignInputRoles(inputs);
+            if (!roles) {
+                continue;
             }
+
+            const target = dependency.targets?.[0];
+            const endpoint = {
+                version: config.version || null,
+                majorVersion: majorVersion,
+                apiPrefix: config.api_prefix ?? (majorVersion !== null && majorVersion >= 5 ? '/gradio_api' : ''),
+                fnIndex: dependency.id ?? index,
+                triggerId: Array.isArray(target) ? target[0] : (target ?? null),
+                apiName: typeof dependency.api_name === 'string' ? dependency.api_name.replace(/^\//, '') : null,
+                queue: config.enable_queue !== false && dependency.queue !== false,
+                inputs: inputs.map((component, position) => ({
+                    role: roles[position],
+                    type: component.type,
+                    defaultValue: component.props?.value ?? null,
+                })),
+            };
+            endpoint.protocol = this.getGradioProtocol(endpoint);
+            return endpoint;
         }
+
+        return null;
     }
 
-    async generateWithGradioApi(text, voiceId) {
-        try {
-            const requestId = this.nextRequestId++;
-            console.log(`🚀 [Request ${requestId}] Starting MegaTTS3 generation for voice: ${voiceId}`);
-            console.log(`📝 [Request ${requestId}] Text length: ${text.length} characters`);
-            
-            // Construct the file paths
-            const audioPath = `${this.settings.voice_directory}/${voiceId}.wav`;
-            const npyPath = `${this.settings.voice_directory}/${voiceId}.npy`;
-            
-            console.log('🎵 Generating TTS with MegaTTS3:', {
-                text: text,
-                voiceId: voiceId,
-                audioPath: audioPath,
-                npyPath: npyPath,
-                infer_timestep: 32,
-                p_w: this.settings.p_w,
-                t_w: this.settings.t_w,
-                server: this.settings.server_url
-            });
-            
-            // First, we need to upload the files to MegaTTS3
-            console.log('📁 Starting file upload process...');
-            
-            let uploadedAudio, uploadedNpy;
-            
-            try {
-                console.log('📁 Uploading audio file...');
-                uploadedAudio = await this.uploadFileToGradio(audioPath);
-                console.log('✅ Audio upload result:', uploadedAudio);
-                
-                // Add a small delay between uploads to prevent CORS race conditions
-                console.log('⏳ Waiting 500ms before NPY upload...');
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-            } catch (audioError) {
-                console.error('❌ Audio upload failed:', audioError);
-                throw new Error(`Audio file upload failed: ${audioError.message}`);
+    /**
+     * Map Gradio input components to MegaTTS3 argument roles, in order.
+     * @param {object[]} inputs Input components of a Gradio function
+     * @returns {(string|null)[]|null} Role per input, or null if a role is missing
+     */
+    assignInputRoles(inputs) {
+        const fileRoles = ['audio', 'npy'];
+        const numberRoles = ['timestep', 'p_w', 't_w'];
+        let hasText = false;
+
+        const roles = inputs.map(component => {
+            if (GRADIO_FILE_COMPONENTS.includes(component.type)) {
+                return fileRoles.shift() ?? null;
+            }
+            if (component.type === 'textbox' && !hasText) {
+                hasText = true;
+                return 'text';
+            }
+            if (GRADIO_NUMBER_COMPONENTS.includes(component.type)) {
+                return numberRoles.shift() ?? null;
+            }
+            return null;
+        });
+
+        return fileRoles.length === 0 && numberRoles.length === 0 && hasText ? roles : null;
+    }
+
+    getGradioProtocol(endpoint) {
+        if (this.settings.gradio_protocol && this.settings.gradio_protocol !== 'auto') {
+            return this.settings.gradio_protocol;
+        }
+        if (endpoint.majorVersion !== null && endpoint.majorVersion < 4) {
+            return 'predict';
+        }
+        if (!endpoint.queue && endpoint.apiName) {
+            return 'call';
+        }
+        return 'queue';
+    }
+
+    /**
+     * Build the Gradio data array for the resolved endpoint.
+     * Inputs that don't map to a MegaTTS3 argument get the component's default value.
+     * @param {object} endpoint Resolved endpoint
+     * @param {object} values Values by role: audio, npy, text, timestep, p_w, t_w
+     * @returns {any[]} Gradio data array
+     */
+    buildGradioInputs(endpoint, values) {
+        return endpoint.inputs.map(input => {
+            if (!input.role) {
+                return input.defaultValue;
             }
+            const value = values[input.role];
+            // Gradio 3.x expects the older file object shape
+            if ((input.role === 'audio' || input.role === 'npy') && endpoint.majorVersion !== null && endpoint.majorVersion < 4) {
+                return { name: value.path, orig_name: value.orig_name, size: value.size, data: null, is_file: true };
+            }
+            return value;
+        });
+    }
+
+    getGradioFileUrl(path) {
+        const apiPrefix = (this.gradioEndpoint ?? LEGACY_GRADIO_ENDPOINT).apiPrefix;
+        return `${this.settings.server_url}${apiPrefix}/file=${path}`;
+    }
+
+    async loadAvailableVoices() {
+        if (this.settings.auto_discover_voices) {
+            this.logger.debug('🔍 Auto-discovering voices from directory...');
+            this.updateVoiceStatus('Discovering voices...', 'blue');
             
             try {
-                console.log('📁 Uploading NPY file...');
-                uploadedNpy = await this.uploadFileToGradio(npyPath);
-                console.log('✅ NPY upload result:', uploadedNpy);
-            } catch (npyError) {
-                console.error('❌ NPY upload failed:', npyError);
-                
-                // If NPY fails due to CORS, try again after a longer delay
-                if (npyError.message.includes('CORS')) {
-                    console.log('🔄 CORS issue detected, retrying NPY upload after 2 seconds...');
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                    try {
-                        uploadedNpy = await this.uploadFileToGradio(npyPath);
-                        console.log('✅ NPY upload retry successful:', uploadedNpy);
-                    } catch (retryError) {
-                        console.error('❌ NPY upload retry also failed:', retryError);
-                        throw new Error(`NPY file upload failed after retry: ${retryError.message}`);
+                const discoveredVoices = this.settings.backend === 'openai'
+                    ? await this.discoverVoicesFromOpenAiServer()
+                    : await this.discoverVoicesFromDirectory();
+                const unpairedWarning = this.getUnpairedFilesWarning();
+                if (discoveredVoices.length > 0) {
+                    this.voices = discoveredVoices;
+                    this.logger.debug('✅ Auto-discovered voices:', this.voices);
+                    
+                    // Show concise status for many voices
+                    let message;
+                    if (this.voices.length <= 5) {
+                        message = `Found ${this.voices.length} voices: ${this.voices.join(', ')}`;
+                    } else {
+                        const preview = this.voices.slice(0, 3).join(', ');
+                        message = `Found ${this.voices.length} voices: ${preview} and ${this.voices.length - 3} more`;
+                    }
+                    const categories = new Set(this.voices.map(voice => this.getVoiceCategory(voice)).filter(Boolean));
+                    if (categories.size > 0) {
+                        message += ` in ${categories.size} folder${categories.size === 1 ? '' : 's'}`;
                     }
+                    this.updateVoiceStatus(unpairedWarning ? `${message}. ${unpairedWarning}` : message, unpairedWarning ? 'orange' : 'green');
                 } else {
-                    throw new Error(`NPY file upload failed: ${npyError.message}`);
+                    this.logger.warn('⚠️ No voices discovered, using fallback');
+                    this.voices = [this.settings.default_voice || 'default'];
+                    this.updateVoiceStatus(`No voices found. Check voice directory and CORS server.${unpairedWarning ? ` ${unpairedWarning}` : ''}`, 'orange');
                 }
+            } catch (error) {
+                this.logger.error('❌ Voice discovery failed:', error);
+                this.voices = [this.settings.default_voice || 'default'];
+                this.updateVoiceStatus(`Discovery failed: ${error.message}`, 'red');
             }
-            
-            console.log('✅ Files uploaded:', { uploadedAudio, uploadedNpy });
-            
-            // Verify FileData structure before sending - THIS IS CRITICAL
-            console.log('🔍 DETAILED FileData structure analysis:');
-            
-            console.log('=== AUDIO FILE ===');
-            console.log('Type:', typeof uploadedAudio);
-            console.log('Keys:', Object.keys(uploadedAudio));
-            console.log('Full object:', JSON.stringify(uploadedAudio, null, 2));
-            console.log('Meta field type:', typeof uploadedAudio.meta);
-            console.log('Meta field value:', JSON.stringify(uploadedAudio.meta, null, 2));
-            
-            console.log('=== NPY FILE ===');
-            console.log('Type:', typeof uploadedNpy);
-            console.log('Keys:', Object.keys(uploadedNpy));
-            console.log('Full object:', JSON.stringify(uploadedNpy, null, 2));
-            console.log('Meta field type:', typeof uploadedNpy.meta);
-            console.log('Meta field value:', JSON.stringify(uploadedNpy.meta, null, 2));
-            
-            // Double-check that we're not accidentally passing strings
-            if (typeof uploadedAudio === 'string') {
-                console.error('❌ ERROR: uploadedAudio is a string, should be FileData object!');
-                throw new Error('File upload failed: received string instead of FileData object for audio file');
+        } else {
+            // Manual mode - use default voice only
+            this.voices = [this.settings.default_voice || 'default'];
+            this.updateVoiceStatus('Auto-discovery disabled. Using default voice only.', 'gray');
+            this.logger.debug('📝 Manual mode - using default voice:', this.voices);
+        }
+
+        // Imported voices are listed whatever the discovery mode or result
+        const localVoices = await this.loadLocalVoices();
+        this.voices = [...this.voices.filter(voice => !isLocalVoiceId(voice)), ...localVoices];
+
+        this.renderVoiceTuningEditor();
+    }
+
+    /**
+     * Read the imported voice library and register the metadata stored with its voices.
+     * @returns {Promise<string[]>} Sorted IDs of imported voices
+     */
+    async loadLocalVoices() {
+        let entries = [];
+        try {
+            entries = await idbRequest(LOCAL_VOICE_STORE, 'readonly', store => store.getAll());
+        } catch (error) {
+            this.logger.warn('⚠️ Could not read the imported voice library:', error);
+        }
+
+        this.localVoices = new Map(entries.map(entry => [entry.id, { size: entry.size, importedAt: entry.importedAt }]));
+        for (const entry of entries) {
+            if (Object.keys(entry.metadata ?? {}).length > 0) {
+                this.voiceMetadata.set(entry.id, entry.metadata);
             }
-            if (typeof uploadedNpy === 'string') {
-                console.error('❌ ERROR: uploadedNpy is a string, should be FileData object!');
-                throw new Error('File upload failed: received string instead of FileData object for NPY file');
+        }
+
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        $('#megatts3_local_voice_status').text(entries.length > 0
+            ? `${entries.length} imported voice${entries.length === 1 ? '' : 's'} (${(totalSize / 1024 / 1024).toFixed(1)} MB)`
+            : '');
+        return [...this.localVoices.keys()].sort();
+    }
+
+    /**
+     * Store .wav/.npy pairs, loose or inside zip archives, in the browser voice library.
+     * Files with the same path and name form a pair; a .json beside them is read as the voice's metadata.
+     * @param {File[]} files Dropped or chosen files
+     * @returns {Promise<{imported: string[], replaced: string[], skipped: string[], warnings: string[]}>} New and overwritten voice IDs,
+     *   why files were skipped, and problems found in the imported pairs
+     */
+    async importLocalVoices(files) {
+        const isVoiceFile = path => /\.(wav|npy|json)$/i.test(path)
+            && !path.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+        const entries = [];
+        const skipped = [];
+
+        for (const file of files) {
+            if (/\.zip$/i.test(file.name)) {
+                try {
+                    const archived = await readZipEntries(file, isVoiceFile);
+                    // Archives often wrap everything in a single folder, which isn't a useful category
+                    const roots = new Set(archived.map(entry => entry.name.split('/')[0]));
+                    const stripRoot = roots.size === 1 && archived.every(entry => entry.name.includes('/'));
+                    for (const entry of archived) {
+                        entries.push({ path: stripRoot ? entry.name.substring(entry.name.indexOf('/') + 1) : entry.name, file: entry });
+                    }
+                } catch (error) {
+                    skipped.push(`${file.name}: ${error.message}`);
+                }
+            } else if (isVoiceFile(file.name)) {
+                entries.push({ path: file.name, file: file });
+            } else {
+                skipped.push(`${file.name}: not a .wav, .npy, .json or .zip file`);
             }
-            
-            // Create EXACT FileData structure as discovered in browser inspection
-            const properAudioData = {
-                "path": uploadedAudio.path || uploadedAudio.name,
-                "url": uploadedAudio.url || `${this.settings.server_url}/gradio_api/file=${uploadedAudio.path || uploadedAudio.name}`,
-                "orig_name": uploadedAudio.orig_name || uploadedAudio.name,
-                "size": uploadedAudio.size,
-                "mime_type": uploadedAudio.mime_type || "audio/x-wav",
-                "meta": {"_type": "gradio.FileData"}
-            };
-            
-            const properNpyData = {
-                "path": uploadedNpy.path || uploadedNpy.name,
-                "url": uploadedNpy.url || `${this.settings.server_url}/gradio_api/file=${uploadedNpy.path || uploadedNpy.name}`,
-                "orig_name": uploadedNpy.orig_name || uploadedNpy.name, 
-                "size": uploadedNpy.size,
-                "mime_type": uploadedNpy.mime_type || "",
-                "meta": {"_type": "gradio.FileData"}
-            };
-            
-            console.log('=== RECONSTRUCTED FILEDATA ===');
-            console.log('Proper Audio:', JSON.stringify(properAudioData, null, 2));
-            console.log('Proper NPY:', JSON.stringify(properNpyData, null, 2));
-            
-            // Final validation of meta field structure
-            console.log('=== META FIELD VALIDATION ===');
-            console.log('Audio meta type:', typeof properAudioData.meta);
-            console.log('Audio meta._type:', properAudioData.meta._type);
-            console.log('Audio meta equals expected:', JSON.stringify(properAudioData.meta) === JSON.stringify({"_type": "gradio.FileData"}));
-            
-            console.log('NPY meta type:', typeof properNpyData.meta);
-            console.log('NPY meta._type:', properNpyData.meta._type);
-            console.log('NPY meta equals expected:', JSON.stringify(properNpyData.meta) === JSON.stringify({"_type": "gradio.FileData"}));
-            
-            // Ensure meta field is exactly right
-            properAudioData.meta = {"_type": "gradio.FileData"};
-            properNpyData.meta = {"_type": "gradio.FileData"};
-            
-            // Generate session hash for EventSource connection
-            const sessionHash = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            
-            // DISCOVERED: MegaTTS3 uses /gradio_api/queue/join with queue system
-            // Based on manual discovery via browser dev tools
-            const payload = {
-                data: [
-                    properAudioData,    // Use reconstructed FileData object for .wav
-                    properNpyData,      // Use reconstructed FileData object for .npy
-                    text,               // Text to generate
-                    32,                 // infer_timestep 
-                    this.settings.p_w,  // p_w (intelligibility weight)
-                    this.settings.t_w   // t_w (similarity weight)
-                ],
-                event_data: null,
-                fn_index: 0,        // From discovery: function index 0
-                trigger_id: 16,     // From discovery: trigger ID 16  
-                session_hash: sessionHash
-            };
+        }
 
-            console.log('🎯 FINAL payload being sent to /gradio_api/queue/join:');
-            console.log('Payload data[0] (audio):', JSON.stringify(payload.data[0], null, 2));
-            console.log('Payload data[1] (npy):', JSON.stringify(payload.data[1], null, 2));
-            console.log('Complete payload:', JSON.stringify(payload, null, 2));
+        const pairs = new Map();
+        for (const { path, file } of entries) {
+            const dot = path.lastIndexOf('.');
+            const name = path.substring(0, dot);
+            const pair = pairs.get(name) ?? {};
+            pair[path.substring(dot + 1).toLowerCase()] = file;
+            pairs.set(name, pair);
+        }
 
-            const response = await fetch(`${this.settings.server_url}/gradio_api/queue/join`, {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
+        const imported = [];
+        const replaced = [];
+        const warnings = [];
+        for (const [name, pair] of pairs) {
+            if (!pair.wav || !pair.npy) {
+                if (pair.wav || pair.npy) {
+                    skipped.push(`${name}: no matching .${pair.wav ? 'npy' : 'wav'}`);
+                }
+                continue;
+            }
 
-            console.log('📡 Queue response:', {
-                status: response.status,
-                statusText: response.statusText,
-                ok: response.ok
-            });
+            let metadata = {};
+            if (pair.json) {
+                try {
+                    metadata = normalizeVoiceMetadata(JSON.parse(await pair.json.text()));
+                } catch (error) {
+                    skipped.push(`${name}.json: ${error.message}`);
+                }
+            }
 
-            if (response.ok) {
-                const result = await response.json();
-                console.log('🎉 API call successful:', result);
-                
-                // CRITICAL: MegaTTS3 returns audio bytes directly in result.data[0] according to source code analysis
-                if (result && result.data && result.data.length > 0) {
-                    console.log('✅ Got direct audio data from API call!');
-                    const audioData = result.data[0];
-                    console.log('📦 Audio data type:', typeof audioData);
-                    console.log('📦 Audio data length/size:', audioData?.length || audioData?.byteLength || audioData?.size || 'unknown');
-                    
-                    return await this.handleDirectAudioBytes(audioData);
+            const id = `${LOCAL_VOICE_PREFIX}${name}`;
+            const existing = await idbRequest(LOCAL_VOICE_STORE, 'readonly', store => store.getKey(id));
+            await idbRequest(LOCAL_VOICE_STORE, 'readwrite', store => store.put({
+                id: id,
+                wav: new Blob([pair.wav], { type: 'audio/wav' }),
+                npy: new Blob([pair.npy], { type: 'application/octet-stream' }),
+                metadata: metadata,
+                size: pair.wav.size + pair.npy.size,
+                importedAt: Date.now(),
+            }));
+            this.invalidateUploadCache(id);
+            (existing === undefined ? imported : replaced).push(id);
+
+            // Kept even when broken, so the badge shows what is wrong with it
+            const { status, issues } = validateVoicePair(
+                { bytes: new Uint8Array(await pair.wav.slice(0, VOICE_HEADER_BYTES).arrayBuffer()), size: pair.wav.size },
+                { bytes: new Uint8Array(await pair.npy.slice(0, VOICE_HEADER_BYTES).arrayBuffer()), size: pair.npy.size },
+            );
+            this.voiceHealth.delete(id);
+            if (status !== 'ok') {
+                warnings.push(`${VOICE_HEALTH_BADGES[status]} ${name}: ${issues.join('; ')}`);
+            }
+        }
+
+        this.logger.info(`📥 Imported ${imported.length} new and ${replaced.length} replaced voices, skipped ${skipped.length} files`);
+        for (const reason of skipped) {
+            this.logger.warn('⚠️ Voice import skipped', reason);
+        }
+        return { imported, replaced, skipped, warnings };
+    }
+
+    async deleteLocalVoice(voiceId) {
+        await idbRequest(LOCAL_VOICE_STORE, 'readwrite', store => store.delete(voiceId));
+        this.invalidateUploadCache(voiceId);
+        this.voiceMetadata.delete(voiceId);
+        this.logger.info('🗑️ Removed imported voice:', voiceId);
+    }
+
+    /**
+     * Open the import dialog: a drop zone for pairs and zip archives, and the imported voices with delete buttons.
+     */
+    async onImportVoicesClick() {
+        const dialog = $(`
+            <div class="megatts3_voice_import">
+                <h3>Import Voices</h3>
+                <div class="megatts3_voice_import_drop" style="border: 2px dashed var(--SmartThemeBorderColor, gray); border-radius: 10px; padding: 25px; cursor: pointer;">
+                    Drop .wav + .npy pairs or .zip archives here, or click to choose files
+                </div>
+                <input class="megatts3_voice_import_input" type="file" multiple accept=".wav,.npy,.json,.zip" style="display: none;" />
+                <small>Files with the same name form a voice, and a .json beside them is read as its metadata. Folders inside a zip become categories.</small>
+                <div class="megatts3_voice_import_result" style="margin: 10px 0; text-align: left;"></div>
+                <h4>Imported voices</h4>
+                <div class="megatts3_voice_import_list" style="text-align: left;"></div>
+            </div>`);
+        const dropZone = dialog.find('.megatts3_voice_import_drop');
+        const input = dialog.find('.megatts3_voice_import_input');
+        const result = dialog.find('.megatts3_voice_import_result');
+        const list = dialog.find('.megatts3_voice_import_list');
+
+        // The voice map and the voice browser pick up library changes through a normal voice reload
+        const reloadVoices = async () => {
+            await this.loadAvailableVoices();
+            initVoiceMap();
+        };
+
+        const renderList = () => {
+            list.empty();
+            if (this.localVoices.size === 0) {
+                list.text('None yet.');
+                return;
+            }
+            for (const [voiceId, { size, importedAt }] of [...this.localVoices].sort(([a], [b]) => a.localeCompare(b))) {
+                const row = $('<div style="display: flex; align-items: center; gap: 10px; margin: 3px 0;"></div>');
+                row.append($('<span style="flex: 1;"></span>').text(voiceId.substring(LOCAL_VOICE_PREFIX.length)));
+                row.append($('<small></small>').text(`${(size / 1024 / 1024).toFixed(1)} MB, ${new Date(importedAt).toLocaleDateString()}`));
+                const remove = $('<button type="button" title="Remove from the library">🗑️</button>');
+                remove.on('click', async () => {
+                    await this.deleteLocalVoice(voiceId);
+                    await reloadVoices();
+                    renderList();
+                });
+                list.append(row.append(remove));
+            }
+        };
+
+        const importFiles = async (files) => {
+            if (files.length === 0) {
+                return;
+            }
+            result.text(`Importing ${files.length} file${files.length === 1 ? '' : 's'}...`).css('color', '');
+            try {
+                const { imported, replaced, skipped, warnings } = await this.importLocalVoices(files);
+                result.empty();
+                result.append($('<div></div>').text(`Imported ${imported.length} voice${imported.length === 1 ? '' : 's'}${replaced.length ? `, replaced ${replaced.length}` : ''}.`));
+                for (const reason of skipped) {
+                    result.append($('<div style="color: orange;"></div>').text(`⚠️ Skipped ${reason}`));
                 }
-                
-                // If we got a queue response, listen via EventSource
-                if (result && result.event_id) {
-                    console.log('📋 Got queue response with event_id:', result.event_id);
-                    console.log('🔄 Listening for audio data via EventSource...');
-                    
-                    // Use EventSource to listen for completion
-                    return await this.listenForAudioBytes(result.event_id, sessionHash);
+                for (const warning of warnings) {
+                    result.append($('<div style="color: orange;"></div>').text(warning));
                 }
-                
-                console.error('❌ Unexpected API response structure:', result);
-                throw new Error('Invalid response from MegaTTS3: No audio data or event_id received');
-            } else {
-                const errorText = await response.text();
-                console.error('❌ Queue join failed:', response.status, errorText);
-                throw new Error(`Queue join failed: ${response.status} ${response.statusText}. Response: ${errorText}`);
+                await reloadVoices();
+                renderList();
+            } catch (error) {
+                this.logger.error('❌ Voice import failed:', error);
+                result.text(`Import failed: ${error.message}`).css('color', 'red');
             }
+        };
+
+        dropZone.on('click', () => input.trigger('click'));
+        dropZone.on('dragover', (event) => {
+            event.preventDefault();
+            dropZone.css('opacity', 0.6);
+        });
+        dropZone.on('dragleave', () => dropZone.css('opacity', 1));
+        dropZone.on('drop', (event) => {
+            event.preventDefault();
+            dropZone.css('opacity', 1);
+            importFiles([...event.originalEvent.dataTransfer.files]);
+        });
+        input.on('change', () => {
+            importFiles([...input.prop('files')]);
+            input.val('');
+        });
+
+        renderList();
+        await callGenericPopup(dialog, POPUP_TYPE.TEXT, '', { allowVerticalScrolling: true, wide: true });
+    }
 
+    /**
+     * List voice pairs through the file server's JSON listing endpoint, including subfolders.
+     * Voice IDs are paths relative to the voice directory without extension (e.g. "english/female/alice"),
+     * so equal names in different folders don't collide. The folder is the voice's category.
+     * Files missing their partner are kept in this.unpairedVoiceFiles for the status line.
+     * @returns {Promise<string[]>} Sorted voice IDs
+     */
+    async discoverVoicesFromDirectory() {
+        const corsServerUrl = this.getFileServerBaseUrl();
+        const relativePath = this.getVoiceDirectoryServerPath();
+        
+        const listingUrl = `${corsServerUrl}/api/voices?dir=${encodeURIComponent(relativePath)}`;
+        this.logger.debug('📂 Requesting voice listing:', listingUrl);
+
+        let response;
+        try {
+            response = await fetch(listingUrl);
         } catch (error) {
-            console.error('❌ MegaTTS3 generation failed:', error);
-            throw new Error(`MegaTTS3 generation failed: ${error.message}`);
+            throw new Error(`File server not reachable at ${corsServerUrl}, tried ${listingUrl} (${error.message})`);
+        }
+
+        if (!response.ok) {
+            // The listing endpoint answers with a JSON error, anything else is an old or different server
+            const body = await response.json().catch(() => null);
+            if (body?.error) {
+                throw new Error(`Voice listing failed at ${listingUrl}: ${body.error}`);
+            }
+            if (response.status === 404) {
+                throw new Error(`File server has no voice listing endpoint at ${listingUrl}. Update cors_server.py.`);
+            }
+            throw new Error(`Voice listing failed at ${listingUrl}: ${response.status} ${response.statusText}`);
+        }
+
+        const listing = await response.json();
+        const voices = listing.voices ?? [];
+        this.logger.info('📋 Voice listing:', voices.length, 'pairs,', (listing.unpaired ?? []).length, 'unpaired files');
+
+        this.voiceFiles = new Map(voices.map(voice => [voice.name, voice]));
+        this.unpairedVoiceFiles = listing.unpaired ?? [];
+        for (const file of this.unpairedVoiceFiles) {
+            this.logger.warn(`⚠️ Unpaired voice file ${file.path}: no matching .${file.missing}`);
         }
+
+        const voiceIds = voices.map(voice => voice.name).sort();
+        const sidecarUrls = Object.fromEntries(voices
+            .filter(voice => voice.metadata)
+            .map(voice => [voice.name, this.getFileServerUrl(voice.metadata.path)]));
+        const manifestUrl = listing.manifest ? this.getFileServerUrl(listing.manifest) : null;
+        await this.loadVoiceMetadata(voiceIds, manifestUrl, sidecarUrls);
+
+        return voiceIds;
     }
-    async handleDirectAudioBytes(audioData) {
-        console.log('🎵 Processing direct audio data from MegaTTS3...');
-        console.log('📦 Audio data type:', typeof audioData);
-        console.log('📦 Audio data constructor:', audioData?.constructor?.name);
-        console.log('📦 Audio data object:', JSON.stringify(audioData, null, 2));
-        
-        // Handle different audio data formats that MegaTTS3 might return
-        if (audioData instanceof ArrayBuffer) {
-            console.log('✅ Got ArrayBuffer audio data:', audioData.byteLength, 'bytes');
-            return new Response(audioData, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (audioData instanceof Uint8Array) {
-            console.log('✅ Got Uint8Array audio data:', audioData.length, 'bytes');
-            return new Response(audioData.buffer, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (Array.isArray(audioData)) {
-            console.log('✅ Got array audio data, converting to Uint8Array:', audioData.length, 'elements');
-            const uint8Array = new Uint8Array(audioData);
-            return new Response(uint8Array.buffer, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (audioData instanceof Blob) {
-            console.log('✅ Got Blob audio data:', audioData.size, 'bytes');
-            return new Response(audioData, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (typeof audioData === 'string' && audioData.startsWith('data:audio')) {
-            console.log('✅ Got data URL, converting to blob...');
-            const response = await fetch(audioData);
-            const blob = await response.blob();
-            return new Response(blob, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (audioData && typeof audioData === 'object' && audioData.url) {
-            // NEW: Handle file object with URL (what we're getting now)
-            console.log('✅ Got file object with URL, downloading audio...');
-            console.log('🔗 Audio file URL:', audioData.url);
-            console.log('📁 Audio file path:', audioData.path);
-            
+
+    /**
+     * List the voices of an OpenAI-compatible speech server. There is no standard endpoint for this,
+     * so /audio/voices and /voices are tried, accepting plain IDs or objects with an id or name and metadata.
+     * @returns {Promise<string[]>} Sorted voice IDs
+     */
+    async discoverVoicesFromOpenAiServer() {
+        const baseUrl = this.getOpenAiUrl();
+        const headers = await this.getOpenAiHeaders();
+        const tried = [];
+        let listing = null;
+        for (const path of ['/audio/voices', '/voices']) {
+            const url = `${baseUrl}${path}`;
+            tried.push(url);
+            this.logger.debug('📂 Requesting voice listing:', url);
+            let response;
             try {
-                const audioResponse = await fetch(audioData.url, {
-                    headers: {
-                        'Referer': `${this.settings.server_url}/?`
-                    }
-                });
-                
-                console.log('📡 Audio download response:', audioResponse.status, audioResponse.statusText);
-                
-                if (audioResponse.ok) {
-                    const audioBlob = await audioResponse.blob();
-                    console.log('✅ Successfully downloaded audio:', audioBlob.size, 'bytes');
-                    
-                    // Small delay to prevent rapid-fire requests
-                    if (audioBlob.size > 1000) {
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    }
-                    
-                    return new Response(audioBlob, {
-                        headers: { 'Content-Type': 'audio/wav' }
-                    });
-                } else {
-                    console.error('❌ Failed to download audio file:', audioResponse.status, audioResponse.statusText);
-                    throw new Error(`Failed to download audio file: ${audioResponse.status} ${audioResponse.statusText}`);
-                }
-            } catch (downloadError) {
-                console.error('❌ Audio download failed:', downloadError);
-                throw new Error(`Audio download failed: ${downloadError.message}`);
-            }
-        } else if (audioData && typeof audioData === 'object' && audioData.path) {
-            // Handle file object with only path (construct URL)
-            console.log('✅ Got file object with path, constructing URL...');
-            console.log('📁 Audio file path:', audioData.path);
-            
-            const audioUrl = `${this.settings.server_url}/gradio_api/file=${audioData.path}`;
-            console.log('🔗 Constructed audio URL:', audioUrl);
-            
+                response = await fetch(url, { headers: headers });
+            } catch (error) {
+                throw new Error(`Speech server not reachable at ${baseUrl}, tried ${url} (${error.message})`);
+            }
+            if (response.status === 404) {
+                continue;
+            }
+            if (!response.ok) {
+                throw new Error(`Voice listing failed at ${url}: ${response.status} ${response.statusText}`);
+            }
+            listing = await response.json();
+            break;
+        }
+        if (!listing) {
+            throw new Error(`Speech server has no voice listing, tried ${tried.join(' and ')}`);
+        }
+
+        const entries = Array.isArray(listing) ? listing : (listing.voices ?? listing.data ?? []);
+        const voices = entries
+            .map(entry => typeof entry === 'string' ? { id: entry } : { ...entry, id: entry?.voice_id ?? entry?.id ?? entry?.name })
+            .filter(entry => typeof entry.id === 'string' && entry.id);
+        this.logger.info('📋 Voice listing:', voices.length, 'voices from', baseUrl);
+
+        // Nothing to pair or check on disk, the server holds the files
+        this.voiceFiles = new Map();
+        this.unpairedVoiceFiles = [];
+        this.voiceMetadata.clear();
+        for (const voice of voices) {
+            const metadata = normalizeVoiceMetadata(voice);
+            if (Object.keys(metadata).length > 0) {
+                this.voiceMetadata.set(voice.id, metadata);
+            }
+        }
+        return voices.map(voice => voice.id).sort();
+    }
+
+    /**
+     * @returns {string} File server URL without a trailing slash; defaults to the Gradio host on port 8000
+     */
+    getFileServerBaseUrl() {
+        if (this.settings.file_server_url) {
+            return this.settings.file_server_url.replace(/\/+$/, '');
+        }
+        try {
+            const url = new URL(this.settings.server_url);
+            return `${url.protocol}//${url.hostname}:8000`;
+        } catch {
+            return 'http://localhost:8000';
+        }
+    }
+
+    /**
+     * Folder on the MegaTTS3 machine that the file server serves at its root.
+     * Without a setting it is the folder holding assets/ (cors_server.py serves the MegaTTS3 checkout),
+     * or the voice directory itself.
+     * @returns {string} Absolute server-side path without a trailing slash
+     */
+    getFileServerRoot() {
+        if (this.settings.file_server_root) {
+            return this.settings.file_server_root.replace(/\/+$/, '');
+        }
+        const directory = this.settings.voice_directory.replace(/\/+$/, '');
+        return directory.includes('/assets/') ? directory.substring(0, directory.indexOf('/assets/')) : directory;
+    }
+
+    /**
+     * Map an absolute path on the MegaTTS3 machine to a path on the file server.
+     * @param {string} serverPath Absolute server-side path
+     * @returns {string} Path below the file server root, starting with /
+     * @throws {MegaTts3Error} When the path is outside the file server root
+     */
+    getFileServerPath(serverPath) {
+        const root = this.getFileServerRoot();
+        const path = serverPath.replace(/\/+$/, '');
+        if (path === root) {
+            return '/';
+        }
+        if (root === '' || path.startsWith(`${root}/`)) {
+            return path.substring(root.length);
+        }
+        throw new MegaTts3Error('config', `${serverPath} is outside the file server root ${root}`);
+    }
+
+    // Voice directory as served by the file server
+    getVoiceDirectoryServerPath() {
+        return this.getFileServerPath(this.settings.voice_directory);
+    }
+
+    /**
+     * @param {string} path Path on the file server; each segment is URL-encoded so spaces and # survive
+     * @returns {string} File URL
+     */
+    getFileServerUrl(path) {
+        return this.getFileServerBaseUrl() + path.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * @param {string} filePath Absolute server-side path
+     * @returns {string} File URL
+     * @throws {MegaTts3Error} When the path is outside the file server root
+     */
+    getVoiceFileUrl(filePath) {
+        return this.getFileServerUrl(this.getFileServerPath(filePath));
+    }
+
+    /**
+     * Show where the voice directory is expected on the file server, or why it can't be mapped.
+     */
+    renderFileServerMapping() {
+        const status = $('#megatts3_file_server_status');
+        try {
+            const url = this.getFileServerUrl(this.getVoiceDirectoryServerPath());
+            status.text(`Voice directory is read from ${url}/`).css('color', '');
+        } catch (error) {
+            status.text(`⚠️ ${error.message}. Set File Server Root to the folder the file server runs in.`).css('color', 'orange');
+        }
+    }
+
+    /**
+     * Request the voice listing and one voice file, reporting every URL that was tried and how it failed.
+     * @returns {Promise<{ok: boolean, lines: string[]}>} Result with one line per request
+     */
+    async checkFileServer() {
+        const lines = [];
+        const tryUrl = async (label, url, options = {}) => {
             try {
-                const audioResponse = await fetch(audioUrl, {
-                    headers: {
-                        'Referer': `${this.settings.server_url}/?`
-                    }
-                });
-                
-                console.log('📡 Audio download response:', audioResponse.status, audioResponse.statusText);
-                
-                if (audioResponse.ok) {
-                    const audioBlob = await audioResponse.blob();
-                    console.log('✅ Successfully downloaded audio:', audioBlob.size, 'bytes');
-                    
-                    // Small delay to prevent rapid-fire requests
-                    if (audioBlob.size > 1000) {
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    }
-                    
-                    return new Response(audioBlob, {
-                        headers: { 'Content-Type': 'audio/wav' }
-                    });
-                } else {
-                    console.error('❌ Failed to download audio file:', audioResponse.status, audioResponse.statusText);
-                    throw new Error(`Failed to download audio file: ${audioResponse.status} ${audioResponse.statusText}`);
+                const response = await fetch(url, { cache: 'no-store', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT), ...options });
+                if (!response.ok) {
+                    const body = await response.json().catch(() => null);
+                    lines.push(`❌ ${label}: HTTP ${response.status}${body?.error ? ` (${body.error})` : ''} from ${url}`);
+                    return null;
+                }
+                lines.push(`✅ ${label}: ${url}`);
+                return response;
+            } catch (error) {
+                const reason = error.name === 'TimeoutError' ? 'no response' : `${error.message}; server down or no CORS headers`;
+                lines.push(`❌ ${label}: ${reason} at ${url}`);
+                return null;
+            }
+        };
+
+        let listingUrl;
+        try {
+            listingUrl = `${this.getFileServerBaseUrl()}/api/voices?dir=${encodeURIComponent(this.getVoiceDirectoryServerPath())}`;
+        } catch (error) {
+            return { ok: false, lines: [`❌ ${error.message}`] };
+        }
+
+        const listingResponse = await tryUrl('Voice listing', listingUrl);
+        if (!listingResponse) {
+            return { ok: false, lines };
+        }
+        const listing = await listingResponse.json();
+        const voice = listing.voices?.[0];
+        if (!voice) {
+            lines.push(`⚠️ The listing at ${listingUrl} has no voice pairs`);
+            return { ok: false, lines };
+        }
+
+        // The listing works on the folder name, so also fetch a file the way uploads do
+        const { audioPath } = this.getVoiceFilePaths(voice.name);
+        const fileResponse = await tryUrl(`Voice file ${voice.name}.wav`, this.getVoiceFileUrl(audioPath), { headers: { 'Range': 'bytes=0-0' } });
+        return { ok: Boolean(fileResponse), lines };
+    }
+
+    async onCheckFileServerClick() {
+        const button = $('#megatts3_check_file_server');
+        button.prop('disabled', true);
+        $('#megatts3_file_server_status').text('Checking...').css('color', '');
+        try {
+            const { ok, lines } = await this.checkFileServer();
+            $('#megatts3_file_server_status').html(lines.map(line => $('<div>').text(line).prop('outerHTML')).join('')).css('color', ok ? 'green' : 'red');
+        } finally {
+            button.prop('disabled', false);
+        }
+    }
+
+    /**
+     * @param {string} voiceId Voice ID, possibly with subfolders
+     * @returns {{audioPath: string, npyPath: string}} Server-side paths of the voice's reference pair
+     */
+    getVoiceFilePaths(voiceId) {
+        // Imported voices aren't on the server; only their file names are used, for the Gradio upload
+        if (isLocalVoiceId(voiceId)) {
+            const name = voiceId.substring(LOCAL_VOICE_PREFIX.length);
+            return { audioPath: `${name}.wav`, npyPath: `${name}.npy` };
+        }
+        const base = `${this.settings.voice_directory.replace(/\/+$/, '')}/${voiceId}`;
+        return { audioPath: `${base}.wav`, npyPath: `${base}.npy` };
+    }
+
+    /**
+     * @param {string} voiceId Voice ID, possibly with subfolders
+     * @returns {string} Subfolder the voice is in, empty for the top of the voice directory
+     */
+    getVoiceCategory(voiceId) {
+        if (isLocalVoiceId(voiceId)) {
+            const name = voiceId.substring(LOCAL_VOICE_PREFIX.length);
+            return name.includes('/') ? `imported/${name.substring(0, name.lastIndexOf('/'))}` : 'imported';
+        }
+        return voiceId.includes('/') ? voiceId.substring(0, voiceId.lastIndexOf('/')) : '';
+    }
+
+    /**
+     * @returns {string} Warning listing files without a partner, or an empty string
+     */
+    getUnpairedFilesWarning() {
+        const unpaired = this.unpairedVoiceFiles ?? [];
+        if (unpaired.length === 0) {
+            return '';
+        }
+
+        const names = unpaired.slice(0, 3).map(file => `${file.path.split('/').pop()} (no .${file.missing})`).join(', ');
+        const more = unpaired.length > 3 ? ` and ${unpaired.length - 3} more` : '';
+        return `⚠️ ${unpaired.length} unpaired file${unpaired.length === 1 ? '' : 's'}: ${names}${more}`;
+    }
+
+    /**
+     * Read the directory manifest and per-voice sidecars. Sidecar values win over manifest values.
+     * Missing or broken files only cost the metadata, never the voice.
+     * @param {string[]} voices Discovered voice IDs
+     * @param {string|null} manifestUrl Manifest URL, if the directory has one
+     * @param {Object<string, string>} sidecarUrls Voice ID -> sidecar URL, for voices that have one
+     */
+    async loadVoiceMetadata(voices, manifestUrl, sidecarUrls) {
+        const fetchJson = async (url) => {
+            try {
+                const response = await fetch(url);
+                return response.ok ? await response.json() : null;
+            } catch (error) {
+                this.logger.warn(`⚠️ Could not read voice metadata ${url}:`, error.message);
+                return null;
+            }
+        };
+
+        const manifest = manifestUrl ? await fetchJson(manifestUrl) : null;
+        // Either { "voice": {...} }, { "voices": {...} or [...] } or a plain array of entries with a name
+        const entries = Array.isArray(manifest) ? manifest : Array.isArray(manifest?.voices) ? manifest.voices : null;
+        const manifestByVoice = entries
+            ? Object.fromEntries(entries.filter(entry => entry?.name).map(entry => [entry.name, entry]))
+            : (manifest?.voices ?? manifest ?? {});
+
+        const withSidecars = voices.filter(voice => sidecarUrls[voice]);
+        const sidecars = await Promise.all(withSidecars.map(voice => fetchJson(sidecarUrls[voice])));
+        const sidecarByVoice = Object.fromEntries(withSidecars.map((voice, i) => [voice, sidecars[i]]));
+
+        this.voiceMetadata.clear();
+        for (const voice of voices) {
+            const metadata = {
+                ...normalizeVoiceMetadata(manifestByVoice[voice]),
+                ...normalizeVoiceMetadata(sidecarByVoice[voice]),
+            };
+            if (Object.keys(metadata).length > 0) {
+                this.voiceMetadata.set(voice, metadata);
+            }
+        }
+        this.logger.debug(`📇 Loaded metadata for ${this.voiceMetadata.size}/${voices.length} voices`);
+    }
+
+    /**
+     * Build the voice object SillyTavern shows, with metadata where the voice has any.
+     * @param {string} voiceId Voice ID
+     * @returns {object} Voice object
+     */
+    getVoiceObject(voiceId) {
+        const metadata = this.voiceMetadata.get(voiceId) ?? {};
+        return {
+            name: voiceId,           // Full voice name (e.g., "p1-denoise")
+            voice_id: voiceId,       // Full voice ID (e.g., "p1-denoise")
+            preview_url: this.previewUrls.get(this.getPreviewKey(voiceId)) ?? null,
+            lang: metadata.language ?? 'en-US',
+            // Ensure SillyTavern displays the full name including dashes
+            display_name: voiceId,   // Explicit display name
+            category: this.getVoiceCategory(voiceId),
+            gender: metadata.gender ?? null,
+            description: metadata.description ?? '',
+            tags: metadata.tags ?? [],
+            sample_rate: metadata.sample_rate ?? null,
+            duration: metadata.duration ?? null,
+            health: this.voiceHealth.has(voiceId)
+                ? { status: this.voiceHealth.get(voiceId).status, issues: this.voiceHealth.get(voiceId).issues }
+                : null,
+        };
+    }
+
+    /**
+     * Identify the current files of a voice: sizes and modification times from the listing, or the import time.
+     * @param {string} voiceId Voice ID
+     * @returns {string} Fingerprint, empty when the files are unknown (no listing, or a speech server's voice)
+     */
+    getVoiceFingerprint(voiceId) {
+        if (isLocalVoiceId(voiceId)) {
+            return String(this.localVoices.get(voiceId)?.importedAt ?? '');
+        }
+        const listing = this.voiceFiles.get(voiceId);
+        return listing ? `${listing.wav?.size}:${listing.wav?.mtime}:${listing.npy?.size}:${listing.npy?.mtime}` : '';
+    }
+
+    /**
+     * Validate a voice's .wav/.npy headers. Results are reused until the files change, and as long as the
+     * file listing is unavailable.
+     * @param {string} voiceId Voice ID
+     * @param {AbortSignal} [signal] Abort signal
+     * @returns {Promise<{status: string, issues: string[]}>} Health from validateVoicePair
+     */
+    async checkVoiceHealth(voiceId, signal) {
+        const fingerprint = this.getVoiceFingerprint(voiceId);
+        const cached = this.voiceHealth.get(voiceId);
+        // Without a listing there is nothing to tell changed files by, so the last result stands until one is back
+        if (cached && (!fingerprint || cached.fingerprint === fingerprint)) {
+            return cached;
+        }
+
+        const { audioPath, npyPath } = this.getVoiceFilePaths(voiceId);
+        const [wavFile, npyFile] = await Promise.all([
+            this.readVoiceFileHead(voiceId, audioPath, signal),
+            this.readVoiceFileHead(voiceId, npyPath, signal),
+        ]);
+        const { status, issues } = validateVoicePair(wavFile, npyFile);
+        const health = { status, issues, fingerprint };
+        this.voiceHealth.set(voiceId, health);
+        return health;
+    }
+
+    /**
+     * @param {string} voiceId Voice ID
+     * @param {string} filePath Path from getVoiceFilePaths
+     * @param {AbortSignal} [signal] Abort signal
+     * @returns {Promise<{bytes: Uint8Array, size: number}>} Start of the file and its full size (0 if unknown)
+     */
+    async readVoiceFileHead(voiceId, filePath, signal) {
+        if (isLocalVoiceId(voiceId)) {
+            const entry = await idbRequest(LOCAL_VOICE_STORE, 'readonly', store => store.get(voiceId));
+            if (!entry) {
+                throw new MegaTts3Error('invalid_voice', `Imported voice ${voiceId} is no longer in the browser library`);
+            }
+            const blob = filePath.endsWith('.npy') ? entry.npy : entry.wav;
+            return { bytes: new Uint8Array(await blob.slice(0, VOICE_HEADER_BYTES).arrayBuffer()), size: blob.size };
+        }
+
+        const url = this.getVoiceFileUrl(filePath);
+        const response = await fetch(url, {
+            cache: 'no-store',
+            headers: { 'Range': `bytes=0-${VOICE_HEADER_BYTES - 1}` },
+            signal: signal,
+        });
+        if (!response.ok) {
+            throw new MegaTts3Error(response.status === 404 ? 'invalid_voice' : 'upload', `File server returned ${response.status} for ${url}`);
+        }
+        // Servers without range support send the whole file, so only its start is read
+        const listed = this.voiceFiles.get(voiceId)?.[filePath.endsWith('.npy') ? 'npy' : 'wav']?.size;
+        const size = listed ?? (response.status === 200 ? Number(response.headers.get('Content-Length')) || 0 : 0);
+        return { bytes: await readResponsePrefix(response, VOICE_HEADER_BYTES), size };
+    }
+
+    /**
+     * Check the files of every listed voice and summarize the result in the settings.
+     */
+    async onCheckVoicesClick() {
+        const button = $('#megatts3_check_voices');
+        const status = $('#megatts3_voice_health_status');
+        if (this.settings.backend === 'openai') {
+            status.text('Voice files are kept on the speech server and can\'t be checked from here.').css('color', 'gray');
+            return;
+        }
+        button.prop('disabled', true);
+        const counts = { ok: 0, warning: 0, error: 0, unreadable: 0 };
+        try {
+            // One at a time, so hundreds of voices don't flood the file server
+            for (const [index, voiceId] of this.voices.entries()) {
+                status.text(`Checking ${index + 1} of ${this.voices.length}: ${voiceId}`).css('color', '');
+                try {
+                    const health = await this.checkVoiceHealth(voiceId);
+                    counts[health.status]++;
+                    if (health.status !== 'ok') {
+                        this.logger.warn(`${VOICE_HEALTH_BADGES[health.status]} Voice ${voiceId}:`, health.issues.join('; '));
+                    }
+                } catch (error) {
+                    counts.unreadable++;
+                    this.voiceHealth.delete(voiceId);
+                    this.logger.warn(`⚠️ Could not check voice ${voiceId}:`, error.message);
+                }
+            }
+
+            const parts = [`${counts.ok} OK`];
+            if (counts.warning) parts.push(`${counts.warning} with warnings`);
+            if (counts.error) parts.push(`${counts.error} broken`);
+            if (counts.unreadable) parts.push(`${counts.unreadable} unreadable`);
+            const color = counts.error || counts.unreadable ? 'red' : counts.warning ? 'orange' : 'green';
+            status.text(`Checked ${this.voices.length} voices: ${parts.join(', ')}. Details are in the log and on each voice's badge.`).css('color', color);
+            this.renderVoiceTuningEditor();
+        } finally {
+            button.prop('disabled', false);
+        }
+    }
+
+    updateVoiceStatus(message, color) {
+        const statusElement = $('#megatts3_voice_status');
+        if (statusElement.length) {
+            statusElement.text(message).css('color', color);
+        }
+    }
+
+    async onRefreshVoicesClick() {
+        this.logger.info('🔄 Manual voice refresh requested');
+        this.updateVoiceStatus('Refreshing voices...', 'blue');
+        await this.loadAvailableVoices();
+        
+        // Trigger a UI update if needed
+        if (typeof saveTtsProviderSettings === 'function') {
+            saveTtsProviderSettings();
+        }
+        
+        return true;
+    }
+
+    onDownloadLogsClick() {
+        const header = `MegaTTS3 provider log - ${new Date().toISOString()}\nServer URL: ${this.settings.server_url}\nState: ${this.serverState}\n\n`;
+        download(header + this.logger.toText(), `megatts3-log-${Date.now()}.txt`, 'text/plain');
+    }
+
+    async onRunDiagnosticsClick() {
+        const button = $('#megatts3_run_diagnostics');
+        button.prop('disabled', true);
+        $('#megatts3_copy_diagnostics').hide();
+        $('#megatts3_diagnostics_report').show();
+        try {
+            this.diagnosticsReport = await this.runDiagnostics(report => $('#megatts3_diagnostics_report').text(report));
+            $('#megatts3_copy_diagnostics').show();
+        } finally {
+            button.prop('disabled', false);
+        }
+    }
+
+    /**
+     * Check the setup step by step: Gradio reachable, config parses, file server sends CORS headers,
+     * a voice pair uploads, a short sample generates. A step is skipped when one it depends on failed.
+     * With the bridge or speech server backend, the Gradio steps are replaced by a health check of that server
+     * and nothing is uploaded. A speech server lists its own voices, so the file server isn't checked either.
+     * @param {function(string): void} [onUpdate] Receives the report after every step
+     * @returns {Promise<string>} Plain text report with timings, a verdict and suggested fixes
+     */
+    async runDiagnostics(onUpdate) {
+        const startedAt = new Date();
+        const results = [];
+        const fileServerUrl = this.getFileServerBaseUrl();
+        const bridge = this.settings.backend === 'bridge';
+        const openai = this.settings.backend === 'openai';
+        const voiceId = this.voices.includes(this.settings.default_voice) ? this.settings.default_voice : this.voices[0];
+        const { audioPath, npyPath } = this.getVoiceFilePaths(voiceId ?? this.settings.default_voice);
+        let endpoint = null;
+        let uploaded = false;
+
+        const render = () => {
+            const failed = results.filter(result => result.status === 'fail').length;
+            const lines = [
+                `MegaTTS3 diagnostics - ${startedAt.toISOString()}`,
+                `Backend: ${BACKENDS[this.settings.backend] ?? this.settings.backend}`,
+                `${bridge ? 'Bridge URL' : openai ? 'Speech server URL' : 'Server URL'}: ${this.getBackendUrl()}`,
+                `File server: ${fileServerUrl} (root ${this.getFileServerRoot() || '/'})`,
+                `Voice directory: ${this.settings.voice_directory}`,
+                `Protocol setting: ${this.settings.gradio_protocol}`,
+                '',
+            ];
+            for (const result of results) {
+                const icon = { pass: '✅', fail: '❌', skip: '⏭️', running: '⏳' }[result.status];
+                const time = result.ms === null ? '' : ` (${result.ms} ms)`;
+                lines.push(`${icon} ${result.name}${time}${result.detail ? ` - ${result.detail}` : ''}`);
+                if (result.fix) {
+                    lines.push(`   Fix: ${result.fix}`);
+                }
+            }
+            if (results.every(result => result.status !== 'running')) {
+                lines.push('', failed === 0 ? 'Verdict: PASS - all checks passed' : `Verdict: FAIL - ${failed} check${failed === 1 ? '' : 's'} failed`);
+            }
+            const report = lines.join('\n');
+            onUpdate?.(report);
+            return report;
+        };
+
+        /**
+         * @param {string} name Step name
+         * @param {boolean} canRun False to skip because an earlier step failed
+         * @param {function(): Promise<string>} check Returns a detail on success, throws on failure
+         * @param {function(Error): string} suggestFix Fix for the failure
+         */
+        const step = async (name, canRun, check, suggestFix) => {
+            const result = { name, status: 'running', ms: null, detail: '', fix: '' };
+            results.push(result);
+            if (!canRun) {
+                Object.assign(result, { status: 'skip', detail: 'skipped, an earlier check failed' });
+                render();
+                return false;
+            }
+            render();
+            const start = performance.now();
+            try {
+                result.detail = await check();
+                result.status = 'pass';
+            } catch (error) {
+                result.status = 'fail';
+                result.detail = error.message || String(error);
+                result.fix = suggestFix(error);
+            }
+            result.ms = Math.round(performance.now() - start);
+            render();
+            return result.status === 'pass';
+        };
+
+        const bridgeUp = bridge && await step('Bridge reachable and model loaded', true, async () => {
+            const health = await this.probeBridge();
+            if (!health.reachable) {
+                throw new Error(`${this.getBridgeUrl()} did not answer: ${health.error}`);
+            }
+            if (!health.ok) {
+                throw new Error(health.detail ?? `${this.getBridgeUrl()}/v1/health returned HTTP ${health.status}`);
+            }
+            return `HTTP ${health.status}`;
+        }, error => error.message.includes('loading')
+            ? 'Wait for megatts3_bridge.py to print that the model is loaded, then run the diagnostics again.'
+            : 'Start the bridge with "python megatts3_bridge.py" in the MegaTTS3 folder and check that Bridge URL matches the address it prints.');
+
+        const speechServerUp = openai && await step('Speech server reachable', true, async () => {
+            const server = await this.probeOpenAiServer();
+            if (!server.reachable) {
+                throw new Error(`${this.getOpenAiUrl()} did not answer: ${server.error}`);
+            }
+            if (!server.ok) {
+                throw new Error(server.detail ?? `${this.getOpenAiUrl()}/models returned HTTP ${server.status}`);
+            }
+            return `HTTP ${server.status}`;
+        }, error => error.message.includes('browser read it')
+            ? 'Clear Speech Server API Key if the server doesn\'t need one, or put the server behind a proxy that adds the key.'
+            : error.message.includes('API key')
+            ? 'Set Speech Server API Key to a key the server accepts.'
+            : 'Start the speech server and check that Speech Server URL is its base URL, including /v1.');
+
+        const voicesListed = openai && await step('Speech server lists voices', speechServerUp, async () => {
+            const voices = await this.discoverVoicesFromOpenAiServer();
+            if (voices.length === 0) {
+                throw new Error('the voice listing is empty');
+            }
+            return `${voices.length} voices`;
+        }, () => 'The server must list its voices at /audio/voices or /voices below Speech Server URL, as IDs or objects with an id or name.');
+
+        const gradioUp = !bridge && !openai && await step('Gradio server reachable', true, async () => {
+            const gradio = await this.probeGradioServer();
+            if (!gradio.reachable) {
+                throw new Error(`${this.settings.server_url} did not answer: ${gradio.error}`);
+            }
+            if (!gradio.ok) {
+                throw new Error(`${this.settings.server_url} returned HTTP ${gradio.status}`);
+            }
+            return `HTTP ${gradio.status}`;
+        }, () => `Start MegaTTS3 with "python -m tts.gradio_api" and check that Server URL matches the address it prints. If SillyTavern runs on another machine, make Gradio listen on 0.0.0.0.`);
+
+        const configOk = !bridge && !openai && await step('Gradio config parses and has the TTS function', gradioUp, async () => {
+            const config = await this.fetchGradioConfig();
+            if (!config) {
+                throw new Error('no Gradio config at /config or /gradio_api/config');
+            }
+            endpoint = this.resolveTtsEndpoint(config);
+            if (!endpoint) {
+                throw new Error(`Gradio ${config.version || '(unknown version)'} has no function taking wav, npy, text, timestep, p_w and t_w`);
+            }
+            return `Gradio ${endpoint.version || 'unknown version'}, ${endpoint.apiName ? `/${endpoint.apiName}` : `fn_index ${endpoint.fnIndex}`}, protocol ${endpoint.protocol}`;
+        }, () => 'Make sure Server URL points at the MegaTTS3 Gradio UI and not at another app. If the UI was customized, its TTS function must still take the two files, text, timestep, p_w and t_w.');
+
+        const fileServerOk = !openai && await step('File server returns CORS headers', true, async () => {
+            const listingUrl = `${fileServerUrl}/api/voices?dir=${encodeURIComponent(this.getVoiceDirectoryServerPath())}`;
+            let response;
+            try {
+                response = await fetch(listingUrl, { signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) });
+            } catch (error) {
+                // An opaque request gets through without CORS, which tells a missing header from a dead server
+                const reachable = await fetch(`${fileServerUrl}/`, { mode: 'no-cors', signal: AbortSignal.timeout(HEARTBEAT_TIMEOUT) }).then(() => true, () => false);
+                throw new Error(reachable ? `${fileServerUrl} answers but without CORS headers` : `${fileServerUrl} is not reachable (tried ${listingUrl})`);
+            }
+            if (response.status === 404) {
+                const body = await response.json().catch(() => null);
+                throw new Error(`${body?.error ?? 'no /api/voices listing endpoint'} (${listingUrl})`);
+            }
+            if (!response.ok) {
+                throw new Error(`listing returned HTTP ${response.status} (${listingUrl})`);
+            }
+            const listing = await response.json();
+            return `${listing.voices?.length ?? 0} voice pairs, ${listing.unpaired?.length ?? 0} unpaired files`;
+        }, error => {
+            if (error.message.includes('without CORS')) {
+                return 'Another server is running on the file server port. Stop it and run "python cors_server.py" from this repository instead.';
+            }
+            if (error.message.includes('not reachable')) {
+                return 'Run "python cors_server.py" in the MegaTTS3 folder (it listens on port 8000), or set File Server URL to where it runs.';
+            }
+            if (error.message.includes('listing endpoint')) {
+                return 'Your cors_server.py is outdated. Copy the current one from this repository and restart it.';
+            }
+            if (error.message.includes('outside the file server root')) {
+                return 'Set File Server Root to the folder cors_server.py serves. Voice Directory must be inside it.';
+            }
+            return 'Check that File Server Root is the folder cors_server.py serves (the MegaTTS3 checkout) and that Voice Directory is inside it.';
+        });
+
+        const voiceReachable = voiceId && (fileServerOk || isLocalVoiceId(voiceId));
+        uploaded = !bridge && !openai && await step(`Voice pair uploads (${voiceId ?? 'no voice'})`, gradioUp && Boolean(voiceReachable), async () => {
+            const audio = await this.uploadVoiceFile(voiceId, audioPath);
+            const npy = await this.uploadVoiceFile(voiceId, npyPath);
+            return `${audioPath.split('/').pop()} (${audio.size} bytes) and ${npyPath.split('/').pop()} (${npy.size} bytes) uploaded`;
+        }, () => `Check that ${audioPath} and ${npyPath} exist and are readable, and that the Gradio server accepts uploads (watch its console while retrying).`);
+
+        const backendReady = bridge ? bridgeUp : openai ? voicesListed : configOk && uploaded;
+        await step('Short sample generates', backendReady && Boolean(voiceId), async () => {
+            const response = await this.generateWithBackend(DIAGNOSTICS_SAMPLE_TEXT, voiceId, {
+                signal: AbortSignal.timeout(DIAGNOSTICS_GENERATION_TIMEOUT),
+                params: { ...this.getGenerationParams('narration', voiceId), infer_timestep: QUALITY_PRESETS.draft.infer_timestep },
+            });
+            const blob = await response.blob();
+            return `${blob.size} bytes of ${blob.type}`;
+        }, () => 'Look at the MegaTTS3 console for the error. Common causes are running out of GPU memory, a .npy that doesn\'t belong to the .wav, or a model checkpoint that didn\'t download completely.');
+
+        return render();
+    }
+
+    updateStatusDisplay(text, color) {
+        $('#megatts3_status_text').text(text).css('color', color);
+    }
+
+    async checkReady() {
+        if (!this.ready) {
+            await this.checkServerStatus();
+        }
+        return this.ready;
+    }
+
+    async onRefreshClick() {
+        return await this.checkServerStatus();
+    }
+
+    get settingsHtml() {
+        return `
+            <div class="megatts3_tts_settings">
+                <label for="megatts3_server_url">Server URL:</label>
+                <input id="megatts3_server_url" type="text" class="text_pole" value="${this.settings.server_url}" />
+                <small>URL where MegaTTS3 gradio interface is running (default: http://localhost:7929)</small>
+
+                <label for="megatts3_voice_directory">Voice Directory:</label>
+                <input id="megatts3_voice_directory" type="text" class="text_pole" value="${this.settings.voice_directory}" />
+                <small>**Absolute path** to directory containing reference audio files and .npy latents (relative to MegaTTS3 server, not SillyTavern)</small>
+
+                <label for="megatts3_file_server_url">File Server URL:</label>
+                <input id="megatts3_file_server_url" type="text" class="text_pole" placeholder="Gradio host on port 8000" />
+                <small>Where cors_server.py (or a reverse proxy to it) can be reached. Leave empty for port 8000 on the Gradio host.</small>
+
+                <label for="megatts3_file_server_root">File Server Root:</label>
+                <input id="megatts3_file_server_root" type="text" class="text_pole" placeholder="Folder above assets/ in the voice directory" />
+                <small>**Absolute path** on the MegaTTS3 machine that the file server serves at its root, usually the MegaTTS3 folder. A file at &lt;root&gt;/x/y.wav is fetched from &lt;file server URL&gt;/x/y.wav.</small>
+                <button id="megatts3_check_file_server" type="button" style="margin-top: 5px; padding: 5px 10px;">🔍 Check File Server</button>
+                <div id="megatts3_file_server_status" style="margin-top: 5px; font-size: 0.9em;"></div>
+
+                <label for="megatts3_default_voice">Default Voice:</label>
+                <input id="megatts3_default_voice" type="text" class="text_pole" value="${this.settings.default_voice}" />
+                <small>Default voice name (without file extension)</small>
+
+                <div style="margin: 15px 0;">
+                    <label>
+                        <input id="megatts3_auto_discover_voices" type="checkbox" ${this.settings.auto_discover_voices ? 'checked' : ''} />
+                        Auto-discover voices from directory
+                    </label>
+                    <button id="megatts3_refresh_voices" type="button" style="margin-left: 10px; padding: 5px 10px;">🔄 Refresh Voices</button>
+                    <button id="megatts3_check_voices" type="button" style="margin-left: 5px; padding: 5px 10px;">🩺 Check Voice Files</button>
+                    <br>
+                    <small>Automatically finds voices (.wav + .npy pairs) in the voice directory. Requires the file server (cors_server.py). Checking reads the start of every pair and marks broken or mismatched ones in the voice lists.</small>
+                    <div id="megatts3_voice_status" style="margin-top: 5px; font-size: 0.9em;"></div>
+                    <div id="megatts3_voice_health_status" style="margin-top: 5px; font-size: 0.9em;"></div>
+                    <button id="megatts3_import_voices" type="button" style="margin-top: 5px; padding: 5px 10px;">📥 Import Voices</button>
+                    <span id="megatts3_local_voice_status" style="margin-left: 10px; font-size: 0.9em;"></span>
+                    <br>
+                    <small>Add .wav + .npy pairs from this computer. They are kept in the browser and don't need the file server.</small>
+                </div>
+
+                <div style="margin: 15px 0;">
+                    <label for="megatts3_voice_tuning_voice">Per-Voice Settings:</label>
+                    <select id="megatts3_voice_tuning_voice"></select>
+                    ${VOICE_OVERRIDE_FIELDS.map(field => `
+                    <label>
+                        <input id="megatts3_voice_tuning_${field.key}_enabled" type="checkbox" />
+                        ${field.label}: <span id="megatts3_voice_tuning_${field.key}_output"></span>
+                    </label>
+                    <input id="megatts3_voice_tuning_${field.key}" type="range" min="${field.min}" max="${field.max}" step="${field.step}" />`).join('')}
+                    <button id="megatts3_voice_tuning_preview" type="button" style="margin-top: 5px; padding: 5px 10px;">▶️ Preview</button>
+                    <button id="megatts3_voice_tuning_reset" type="button" style="margin-top: 5px; padding: 5px 10px;">↩️ Use Global Settings</button>
+                    <br>
+                    <small>Checked values are used for this voice in narration and previews, over the quality preset and the sliders below. Voices with overrides are marked with ★.</small>
+                </div>
+
+                <label for="megatts3_narration_preset">Narration Quality:</label>
+                <select id="megatts3_narration_preset">
+                    ${this.getPresetOptionsHtml()}
+                </select>
+                <label for="megatts3_preview_preset">Voice Preview Quality:</label>
+                <select id="megatts3_preview_preset">
+                    ${this.getPresetOptionsHtml()}
+                </select>
+                <small>Presets set timestep and both weights together. Custom uses the sliders below.</small>
+
+                <label for="megatts3_infer_timestep">Diffusion Timestep: <span id="megatts3_infer_timestep_output">${this.settings.infer_timestep}</span></label>
+                <input id="megatts3_infer_timestep" type="range" value="${this.settings.infer_timestep}" min="4" max="64" step="1" />
+                <small>Fewer steps = faster generation, more steps = cleaner audio</small>
+
+                <label for="megatts3_p_w">Intelligibility Weight: <span id="megatts3_p_w_output">${this.settings.p_w}</span></label>
+                <input id="megatts3_p_w" type="range" value="${this.settings.p_w}" min="1.0" max="5.0" step="0.1" />
+                <small>Higher values = clearer pronunciation, lower = more accent preservation</small>
+
+                <label for="megatts3_t_w">Timbre Weight: <span id="megatts3_t_w_output">${this.settings.t_w}</span></label>
+                <input id="megatts3_t_w" type="range" value="${this.settings.t_w}" min="1.0" max="5.0" step="0.1" />
+                <small>Higher values = more expressive and similar to reference voice</small>
+
+                <label for="megatts3_speaking_rate">Speaking Rate: <span id="megatts3_speaking_rate_output">${this.settings.speakingRate}x</span></label>
+                <input id="megatts3_speaking_rate" type="range" value="${this.settings.speakingRate}" min="0.5" max="2.0" step="0.1" />
+                <small>Changes speed without changing pitch. Applied on top of the global TTS playback rate.</small>
+
+                <label>
+                    <input id="megatts3_streaming_mode" type="checkbox" ${this.settings.streaming_mode ? 'checked' : ''} />
+                    Stream sentence by sentence
+                </label>
+                <small>Starts playback after the first sentence instead of waiting for the whole reply. The next sentence generates while the current one plays.</small>
+                <label for="megatts3_stream_min_chars">Minimum chunk length (characters):</label>
+                <input id="megatts3_stream_min_chars" type="number" class="text_pole" min="1" max="500" step="1" value="${this.settings.stream_min_chars}" />
+                <small>Short sentences are merged until a chunk is at least this long, to avoid many tiny GPU calls</small>
+
+                <div style="margin: 15px 0;">
+                    <label>
+                        <input id="megatts3_audio_cache_enabled" type="checkbox" ${this.settings.audio_cache_enabled ? 'checked' : ''} />
+                        Cache generated audio in the browser
+                    </label>
+                    <label for="megatts3_audio_cache_limit_mb">Cache size limit (MB):</label>
+                    <input id="megatts3_audio_cache_limit_mb" type="number" class="text_pole" min="0" step="10" value="${this.settings.audio_cache_limit_mb}" />
+                    <button id="megatts3_clear_audio_cache" type="button" style="margin-top: 5px; padding: 5px 10px;">🗑️ Clear Cache</button>
+                    <br>
+                    <small>Re-narrated messages and repeated previews play from the cache instead of running on the GPU again. Least recently used clips are removed first. Clearing also removes stored voice previews.</small>
+                    <div id="megatts3_cache_stats" style="margin-top: 5px; font-size: 0.9em;"></div>
+                </div>
+
+                <label for="megatts3_backend">Backend:</label>
+                <select id="megatts3_backend">
+                    ${Object.entries(BACKENDS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                </select>
+                <small>The bridge runs MegaTTS3's inference script directly, without Gradio's queue and file uploads. It reads voices from its own voice folder, so imported voices need the Gradio API. An OpenAI-compatible server lists and stores its own voices.</small>
+
+                <label for="megatts3_bridge_url">Bridge URL:</label>
+                <input id="megatts3_bridge_url" type="text" class="text_pole" placeholder="http://localhost:7930" />
+                <small>Where megatts3_bridge.py listens (default: http://localhost:7930). Only used by the bridge backend.</small>
+
+                <label for="megatts3_openai_url">Speech Server URL:</label>
+                <input id="megatts3_openai_url" type="text" class="text_pole" placeholder="http://localhost:8880/v1" />
+                <label for="megatts3_openai_api_key">Speech Server API Key:</label>
+                <input id="megatts3_openai_api_key" type="text" class="text_pole" placeholder="Not needed for most local servers" autocomplete="off" />
+                <button id="megatts3_clear_openai_api_key" type="button" style="margin-top: 5px; padding: 5px 10px;">🗑️ Clear Key</button>
+                <label for="megatts3_openai_model">Speech Server Model:</label>
+                <input id="megatts3_openai_model" type="text" class="text_pole" placeholder="megatts3" />
+                <small>Base URL of an OpenAI-compatible server wrapping MegaTTS3, up to and including /v1. Only used by the speech server backend. Timestep and weights are sent as the extra fields timestep, p_w and t_w. The key is kept in SillyTavern's secrets store, the field turns green once one is saved.</small>
+
+                <label for="megatts3_gradio_protocol">API Protocol:</label>
+                <select id="megatts3_gradio_protocol">
+                    <option value="auto">Auto (from Gradio config)</option>
+                    <option value="queue">Queue - /gradio_api/queue/join (Gradio 4.x/5.x)</option>
+                    <option value="call">Call - /gradio_api/call/&lt;api_name&gt; (Gradio 4.x/5.x)</option>
+                    <option value="predict">Predict - /api/predict (Gradio 3.x)</option>
+                </select>
+                <small>How requests are sent to the TTS function found in the Gradio config</small>
+
+                <div style="margin: 15px 0;">
+                    <label>Time limits (seconds, 0 = no limit):</label>
+                    ${TIMEOUT_FIELDS.map(field => `
+                    <label for="megatts3_${field.key}">${field.label}:</label>
+                    <input id="megatts3_${field.key}" type="number" class="text_pole" min="0" step="5" value="${this.settings[field.key]}" />`).join('')}
+                    <small>The inference limit grows with the text length and how fast past generations were. Server silence catches a dead server early: Gradio normally sends a heartbeat every 15s.</small>
+                </div>
+
+                <label for="megatts3_log_level">Console Log Level:</label>
+                <select id="megatts3_log_level">
+                    <option value="error">Error</option>
+                    <option value="warn">Warning</option>
+                    <option value="info">Info</option>
+                    <option value="debug">Debug</option>
+                    <option value="trace">Trace (full payloads)</option>
+                </select>
+                <button id="megatts3_download_logs" type="button" style="margin-top: 5px; padding: 5px 10px;">📥 Download Log</button>
+                <br>
+                <small>The download holds the last ${LOG_BUFFER_SIZE} entries at debug level or above, whatever the console level is. Attach it to bug reports.</small>
+
+                <hr>
+                <div>
+                    Status: <span id="megatts3_status_text">Initializing...</span>
+                </div>
+                <div>
+                    Queue: <span id="megatts3_queue_status">Idle</span>
+                </div>
+                <div style="margin-top: 10px;">
+                    <button id="megatts3_run_diagnostics" type="button" style="padding: 5px 10px;">🩺 Run Diagnostics</button>
+                    <button id="megatts3_copy_diagnostics" type="button" style="padding: 5px 10px; display: none;">📋 Copy Report</button>
+                    <br>
+                    <small>Checks each part of the setup in order and suggests a fix for anything that fails. Generates one short sample.</small>
+                    <pre id="megatts3_diagnostics_report" style="display: none; white-space: pre-wrap; font-size: 0.85em; max-height: 300px; overflow-y: auto;"></pre>
+                </div>
+                <div style="margin-top: 10px;">
+                    <small>
+                        <strong>Setup Instructions:</strong><br>
+                        1. Install MegaTTS3: <code>git clone https://github.com/bytedance/MegaTTS3.git</code><br>
+                        2. Install dependencies: <code>pip install -r requirements.txt</code><br>
+                        3. Download checkpoints to <code>./checkpoints/</code><br>
+                        4. Run gradio server: <code>python tts/gradio_api.py</code><br>
+                        5. Run CORS server: <code>python cors_server.py</code> (for voice auto-discovery)<br>
+                        6. Place voice files (.wav) and latents (.npy) in voice directory<br><br>
+                        <strong>Note:</strong> "attention_mask" warnings in MegaTTS3 console are normal and don't affect audio quality.
+                    </small>
+                </div>
+            </div>
+        `;
+    }
+
+    getPresetOptionsHtml() {
+        const presets = Object.entries(QUALITY_PRESETS)
+            .map(([key, preset]) => `<option value="${key}">${preset.label} (${preset.infer_timestep} steps)</option>`)
+            .join('');
+        return `<option value="custom">Custom</option>${presets}`;
+    }
+
+    /**
+     * Resolve timestep and weights for a generation from the preset chosen for its purpose,
+     * then apply the voice's own overrides on top.
+     * @param {'narration'|'preview'} purpose What the audio is generated for
+     * @param {string|null} [voiceId] Voice whose overrides to apply
+     * @returns {{infer_timestep: number, p_w: number, t_w: number}} Generation parameters
+     */
+    getGenerationParams(purpose = 'narration', voiceId = null) {
+        const presetKey = purpose === 'preview' ? this.settings.preview_preset : this.settings.narration_preset;
+        const preset = QUALITY_PRESETS[presetKey];
+
+        const params = preset
+            ? { infer_timestep: preset.infer_timestep, p_w: preset.p_w, t_w: preset.t_w }
+            : { infer_timestep: this.settings.infer_timestep, p_w: this.settings.p_w, t_w: this.settings.t_w };
+
+        return { ...params, ...this.getVoiceOverrides(voiceId) };
+    }
+
+    /**
+     * @param {string|null} voiceId Voice ID
+     * @returns {{infer_timestep?: number, p_w?: number, t_w?: number}} Only the values set for this voice
+     */
+    getVoiceOverrides(voiceId) {
+        const overrides = this.settings.voice_overrides?.[voiceId] ?? {};
+        return Object.fromEntries(VOICE_OVERRIDE_FIELDS
+            .filter(field => typeof overrides[field.key] === 'number')
+            .map(field => [field.key, overrides[field.key]]));
+    }
+
+    /**
+     * Fill the per-voice editor for the selected voice. Unchecked sliders show the global value it falls back to.
+     */
+    renderVoiceTuningEditor() {
+        const select = $('#megatts3_voice_tuning_voice');
+        if (!select.length) {
+            return;
+        }
+
+        const selected = String(select.val() || this.settings.default_voice);
+        select.empty();
+        for (const voice of this.voices) {
+            const marker = Object.keys(this.getVoiceOverrides(voice)).length > 0 ? ' ★' : '';
+            const health = this.voiceHealth.get(voice);
+            const badge = health && health.status !== 'ok' ? ` ${VOICE_HEALTH_BADGES[health.status]}` : '';
+            select.append($('<option></option>').val(voice).text(voice + marker + badge).attr('title', health?.issues.join('\n') ?? ''));
+        }
+        select.val(this.voices.includes(selected) ? selected : this.voices[0]);
+
+        const voiceId = String(select.val() ?? '');
+        const overrides = this.getVoiceOverrides(voiceId);
+        const fallback = this.getGenerationParams('narration');
+
+        for (const field of VOICE_OVERRIDE_FIELDS) {
+            const enabled = field.key in overrides;
+            const value = enabled ? overrides[field.key] : fallback[field.key];
+            $(`#megatts3_voice_tuning_${field.key}_enabled`).prop('checked', enabled);
+            $(`#megatts3_voice_tuning_${field.key}`).val(value).prop('disabled', !enabled);
+            $(`#megatts3_voice_tuning_${field.key}_output`).text(enabled ? value : `${value} (global)`);
+        }
+    }
+
+    onVoiceTuningChange() {
+        const voiceId = String($('#megatts3_voice_tuning_voice').val() ?? '');
+        if (!voiceId) {
+            return;
+        }
+
+        const overrides = {};
+        for (const field of VOICE_OVERRIDE_FIELDS) {
+            if ($(`#megatts3_voice_tuning_${field.key}_enabled`).prop('checked')) {
+                overrides[field.key] = field.parse($(`#megatts3_voice_tuning_${field.key}`).val().toString());
+            }
+        }
+
+        if (Object.keys(overrides).length > 0) {
+            this.settings.voice_overrides[voiceId] = overrides;
+        } else {
+            delete this.settings.voice_overrides[voiceId];
+        }
+
+        this.renderVoiceTuningEditor();
+        saveTtsProviderSettings();
+    }
+
+    onVoiceTuningResetClick() {
+        const voiceId = String($('#megatts3_voice_tuning_voice').val() ?? '');
+        delete this.settings.voice_overrides[voiceId];
+        this.renderVoiceTuningEditor();
+        saveTtsProviderSettings();
+    }
+
+    async onVoiceTuningPreviewClick() {
+        const voiceId = String($('#megatts3_voice_tuning_voice').val() ?? '');
+        if (!voiceId) {
+            return;
+        }
+
+        const button = $('#megatts3_voice_tuning_preview');
+        button.prop('disabled', true);
+        try {
+            await this.previewTtsVoice(voiceId);
+        } catch (error) {
+            toastr.error(error.hint ?? String(error), `Preview of ${voiceId} failed`);
+        } finally {
+            button.prop('disabled', false);
+        }
+    }
+
+    async onSettingsChange() {
+        this.settings.server_url = $('#megatts3_server_url').val().toString();
+        this.settings.voice_directory = $('#megatts3_voice_directory').val().toString();
+        this.settings.file_server_url = $('#megatts3_file_server_url').val().toString().trim();
+        this.settings.file_server_root = $('#megatts3_file_server_root').val().toString().trim();
+        this.settings.default_voice = $('#megatts3_default_voice').val().toString();
+        this.settings.p_w = parseFloat($('#megatts3_p_w').val().toString());
+        this.settings.t_w = parseFloat($('#megatts3_t_w').val().toString());
+        this.settings.infer_timestep = parseInt($('#megatts3_infer_timestep').val().toString(), 10);
+        this.settings.narration_preset = String($('#megatts3_narration_preset').val());
+        this.settings.preview_preset = String($('#megatts3_preview_preset').val());
+        this.settings.speakingRate = parseFloat($('#megatts3_speaking_rate').val().toString());
+        this.settings.streaming_mode = $('#megatts3_streaming_mode').prop('checked');
+        this.settings.stream_min_chars = parseInt($('#megatts3_stream_min_chars').val().toString(), 10) || 0;
+        this.settings.audio_cache_enabled = $('#megatts3_audio_cache_enabled').prop('checked');
+        this.settings.audio_cache_limit_mb = Math.max(0, parseFloat($('#megatts3_audio_cache_limit_mb').val().toString()) || 0);
+        this.settings.backend = String($('#megatts3_backend').val());
+        this.settings.bridge_url = $('#megatts3_bridge_url').val().toString().trim();
+        this.settings.openai_url = $('#megatts3_openai_url').val().toString().trim();
+        this.settings.openai_model = $('#megatts3_openai_model').val().toString().trim();
+        this.settings.gradio_protocol = String($('#megatts3_gradio_protocol').val());
+        for (const field of TIMEOUT_FIELDS) {
+            this.settings[field.key] = Math.max(0, parseFloat($(`#megatts3_${field.key}`).val().toString()) || 0);
+        }
+        this.settings.log_level = String($('#megatts3_log_level').val());
+        this.settings.auto_discover_voices = $('#megatts3_auto_discover_voices').prop('checked');
+
+        if (this.gradioEndpoint) {
+            this.gradioEndpoint.protocol = this.getGradioProtocol(this.gradioEndpoint);
+        }
+
+        // Update UI displays
+        $('#megatts3_p_w_output').text(this.settings.p_w);
+        $('#megatts3_t_w_output').text(this.settings.t_w);
+        $('#megatts3_infer_timestep_output').text(this.settings.infer_timestep);
+        $('#megatts3_speaking_rate_output').text(this.settings.speakingRate + 'x');
+        this.renderVoiceTuningEditor();
+        this.renderFileServerMapping();
+
+        // Shrink the cache right away when its limit is lowered
+        this.evictAudioCache()
+            .catch(error => this.logger.warn('⚠️ Audio cache eviction failed:', error))
+            .finally(() => this.updateAudioCacheStats());
+
+        // Reload voices when auto-discovery setting changes or voice directory changes
+        await this.loadAvailableVoices();
+
+        // Check server with debounce
+        this.checkServerDebounced();
+        saveTtsProviderSettings();
+    }
+
+    async fetchTtsVoiceObjects() {
+        if (!this.ready) {
+            await this.checkReady();
+        }
+        
+        await this.loadStoredPreviews();
+        return this.voices.map(voice => this.getVoiceObject(voice));
+    }
+
+    getPreviewText(voiceId) {
+        const lang = this.voiceMetadata.get(voiceId)?.language ?? 'en-US';
+        // Shorter preview text to reduce GPU usage and inference time
+        return PREVIEW_TEXTS[lang] ?? getPreviewString(lang);
+    }
+
+    /**
+     * Previews are stored per voice, text and everything that changes how they sound,
+     * so tuning a voice's weights produces a new preview instead of replaying the old one.
+     * @param {string} voiceId Voice ID
+     * @param {string} [text] Preview text, the voice's language sample by default
+     * @returns {string} Preview store key
+     */
+    getPreviewKey(voiceId, text = this.getPreviewText(voiceId)) {
+        const params = this.getGenerationParams('preview', voiceId);
+        const descriptor = JSON.stringify([text, params.p_w, params.t_w, params.infer_timestep, this.settings.speakingRate]);
+        return `${voiceId}|${getStringHash(descriptor)}`;
+    }
+
+    /**
+     * Make object URLs for stored previews that match the current parameters and aren't loaded yet.
+     */
+    async loadStoredPreviews() {
+        try {
+            const storedKeys = new Set(await idbRequest(PREVIEW_STORE, 'readonly', store => store.getAllKeys()));
+            const missing = this.voices.map(voice => this.getPreviewKey(voice))
+                .filter(key => storedKeys.has(key) && !this.previewUrls.has(key));
+
+            for (const key of missing) {
+                const record = await idbRequest(PREVIEW_STORE, 'readonly', store => store.get(key));
+                if (record?.blob) {
+                    this.previewUrls.set(key, URL.createObjectURL(record.blob));
+                }
+            }
+        } catch (error) {
+            this.logger.warn('⚠️ Could not load stored voice previews:', error);
+        }
+    }
+
+    /**
+     * Return the stored preview for the voice's current parameters, generating and storing it once if needed.
+     * @param {string} voiceId Voice ID
+     * @param {string} [text] Preview text, the voice's language sample by default
+     * @returns {Promise<string>} Object URL of the preview clip
+     */
+    async getPreviewUrl(voiceId, text = this.getPreviewText(voiceId)) {
+        const key = this.getPreviewKey(voiceId, text);
+        if (this.previewUrls.has(key)) {
+            return this.previewUrls.get(key);
+        }
+
+        let blob = (await idbRequest(PREVIEW_STORE, 'readonly', store => store.get(key)).catch(() => null))?.blob;
+        if (!blob) {
+            this.logger.info('🎵 Generating voice preview for:', voiceId, 'Text:', text);
+            for await (const response of this.generateTts(text, voiceId, { purpose: 'preview' })) {
+                blob = await response.blob();
+                break; // Only the first chunk for preview
+            }
+            await idbRequest(PREVIEW_STORE, 'readwrite', store => store.put({ key, voiceId, blob, createdAt: Date.now() }))
+                .catch(error => this.logger.warn('⚠️ Could not store voice preview:', error));
+        }
+
+        const url = URL.createObjectURL(blob);
+        this.previewUrls.set(key, url);
+        return url;
+    }
+
+    async previewTtsVoice(voiceId) {
+        if (!this.ready) {
+            await this.checkReady();
+        }
+
+        const voice = this.getVoice(voiceId);
+        this.logger.debug('🎵 Playing voice preview for:', voice.voice_id);
+        
+        this.previewAudio?.pause();
+        try {
+            const url = await this.getPreviewUrl(voice.voice_id);
+            // Another preview may have started while this one was generating
+            this.previewAudio?.pause();
+            const audioElement = new Audio(url);
+            this.previewAudio = audioElement;
+            await new Promise((resolve, reject) => {
+                audioElement.onended = () => resolve();
+                audioElement.onpause = () => resolve();
+                audioElement.onerror = () => reject(new Error('The preview clip could not be played'));
+                // Rejects when the browser blocks playback, e.g. before the user interacted with the page
+                audioElement.play().catch(reject);
+            });
+        } catch (error) {
+            this.logger.error('Preview failed:', error);
+            // Callers show the failure to the user
+            throw error;
+        }
+    }
+
+    getVoiceDisplayName(voiceId) {
+        // Return the full voice ID including dashes and special characters
+        return voiceId;
+    }
+
+    getVoice(voiceName) {
+        const defaultVoice = this.settings.default_voice || 'default';
+        const actualVoiceName = this.voices.includes(voiceName) ? voiceName : defaultVoice;
+        return this.getVoiceObject(actualVoiceName);
+    }
+
+    /**
+     * Generate TTS audio using MegaTTS3
+     * @param {string} text Text to generate
+     * @param {string} voiceId Voice ID
+     * @param {object} [options] Generation options
+     * @param {AbortSignal} [options.signal] Aborts uploads, stops listening and cancels the queued Gradio job
+     * @param {function(object): void} [options.onProgress] Receives queue position, ETA and elapsed time updates
+     * @param {'narration'|'preview'} [options.purpose] Selects the quality preset to use
+     * @returns {AsyncGenerator<Response>} Audio response generator
+     */
+    async* generateTts(text, voiceId, { signal, onProgress, purpose = 'narration' } = {}) {
+        if (!this.ready) {
+            await this.checkReady();
+        }
+
+        if (!this.ready) {
+            throw new Error('MegaTTS3 server not ready');
+        }
+
+        if (text.trim().length === 0) {
+            throw new Error('Empty text');
+        }
+
+        signal?.throwIfAborted();
+
+        const voice = this.getVoice(voiceId);
+        const processedText = this.processText(text);
+        const params = this.getGenerationParams(purpose, voice.voice_id);
+
+        const chunks = this.splitTextForGeneration(processedText);
+        if (chunks.length === 1) {
+            this.logger.debug('🎯 Single inference for text length:', processedText.length, 'characters');
+        } else {
+            this.logger.debug('📦 Created', chunks.length, this.settings.streaming_mode ? 'sentence chunks' : 'chunks', 'for', processedText.length, 'characters');
+        }
+
+        // Own controller so a chunk generating ahead is stopped if the consumer stops early
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const generateChunk = (chunk) => this.generateWithAudioCache(chunk, voice.voice_id, params,
+            () => this.generateWithBackend(chunk, voice.voice_id, { signal: controller.signal, onProgress, params }));
+
+        try {
+            // Pipeline: the next chunk starts generating as soon as the previous one is done,
+            // so it is ready by the time playback of the current one ends
+            let pending = generateChunk(chunks[0]);
+            for (let i = 0; i < chunks.length; i++) {
+                this.logger.debug(`🎵 Processing chunk ${i + 1}/${chunks.length}`);
+                const response = await pending;
+                pending = i + 1 < chunks.length ? generateChunk(chunks[i + 1]) : null;
+                // Errors are rethrown when this chunk is awaited
+                pending?.catch(() => {});
+                yield await this.applySpeakingRate(response);
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            controller.abort();
+        }
+    }
+
+    /**
+     * Return cached audio for this exact text, voice files, parameters, backend and server, or generate and cache it.
+     * Audio is cached before the speaking rate is applied, so changing the rate doesn't invalidate it.
+     * @param {string} text Processed chunk text
+     * @param {string} voiceId Voice ID
+     * @param {{infer_timestep: number, p_w: number, t_w: number}} params Generation parameters
+     * @param {function(): Promise<Response>} generate Runs the actual generation on a cache miss
+     * @returns {Promise<Response>} Audio response
+     */
+    async generateWithAudioCache(text, voiceId, params, generate) {
+        if (!this.settings.audio_cache_enabled) {
+            return await generate();
+        }
+
+        // Replacing a voice's files or the speech server's model keeps the voice ID but changes the audio
+        const model = this.settings.backend === 'openai' ? this.settings.openai_model : '';
+        const descriptor = JSON.stringify([
+            text, voiceId, this.getVoiceFingerprint(voiceId),
+            params.p_w, params.t_w, params.infer_timestep,
+            this.settings.backend, this.getBackendUrl(), model,
+        ]);
+        const key = String(getStringHash(descriptor));
+
+        try {
+            const entry = await idbRequest(AUDIO_CACHE_STORE, 'readonly', store => store.get(key));
+            // The hash is only 32 bits - make sure the hit really is for this request
+            if (entry && entry.descriptor === descriptor) {
+                this.audioCacheStats.hits++;
+                this.logger.info('💾 Audio cache hit for voice:', voiceId);
+                entry.lastAccess = Date.now();
+                await idbRequest(AUDIO_CACHE_STORE, 'readwrite', store => store.put(entry));
+                this.updateAudioCacheStats();
+                return new Response(entry.blob, {
+                    headers: { 'Content-Type': entry.blob.type || 'audio/wav' }
+                });
+            }
+        } catch (error) {
+            this.logger.warn('⚠️ Audio cache lookup failed:', error);
+        }
+
+        this.audioCacheStats.misses++;
+        const response = await generate();
+        const blob = await response.blob();
+
+        try {
+            await idbRequest(AUDIO_CACHE_STORE, 'readwrite', store => store.put({
+                key: key,
+                descriptor: descriptor,
+                blob: blob,
+                size: blob.size,
+                createdAt: Date.now(),
+                lastAccess: Date.now(),
+            }));
+            await this.evictAudioCache();
+        } catch (error) {
+            this.logger.warn('⚠️ Could not store audio in cache:', error);
+        }
+        this.updateAudioCacheStats();
+
+        return new Response(blob, {
+            headers: { 'Content-Type': blob.type || response.headers.get('Content-Type') || 'audio/wav' }
+        });
+    }
+
+    /**
+     * Read size and access time of every cached clip, without loading the audio itself.
+     * @returns {Promise<{key: string, size: number, lastAccess: number}[]>} Cache entries
+     */
+    async getAudioCacheEntries() {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = db.transaction(AUDIO_CACHE_STORE, 'readonly').objectStore(AUDIO_CACHE_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return resolve(entries);
+                }
+                entries.push({ key: cursor.value.key, size: cursor.value.size, lastAccess: cursor.value.lastAccess });
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async evictAudioCache() {
+        const limit = this.settings.audio_cache_limit_mb * 1024 * 1024;
+        const entries = await this.getAudioCacheEntries();
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        // Least recently played first
+        entries.sort((a, b) => a.lastAccess - b.lastAccess);
+        for (const entry of entries) {
+            if (total <= limit) {
+                break;
+            }
+            await idbRequest(AUDIO_CACHE_STORE, 'readwrite', store => store.delete(entry.key));
+            total -= entry.size;
+            this.logger.debug('🗑️ Evicted cached audio:', entry.key);
+        }
+    }
+
+    async updateAudioCacheStats() {
+        const statsElement = $('#megatts3_cache_stats');
+        if (!statsElement.length) {
+            return;
+        }
+
+        try {
+            const entries = await this.getAudioCacheEntries();
+            const sizeMb = entries.reduce((sum, entry) => sum + entry.size, 0) / (1024 * 1024);
+            const { hits, misses } = this.audioCacheStats;
+            statsElement.text(`${entries.length} clips, ${sizeMb.toFixed(1)} MB. This session: ${hits} hits, ${misses} misses`);
+        } catch (error) {
+            statsElement.text(`Cache unavailable: ${error.message || error}`);
+        }
+    }
+
+    async onClearAudioCacheClick() {
+        try {
+            await idbRequest(AUDIO_CACHE_STORE, 'readwrite', store => store.clear());
+            await idbRequest(PREVIEW_STORE, 'readwrite', store => store.clear());
+            this.revokePreviewUrls();
+            this.audioCacheStats = { hits: 0, misses: 0 };
+            this.logger.info('🗑️ Audio cache cleared');
+            toastr.success('MegaTTS3 audio cache cleared');
+        } catch (error) {
+            this.logger.error('❌ Failed to clear audio cache:', error);
+            toastr.error(`Failed to clear audio cache: ${error.message || error}`);
+        }
+        this.updateAudioCacheStats();
+    }
+
+    /**
+     * Split text into the chunks sent to the GPU.
+     * Streaming mode splits into sentences so the first one plays within seconds, merging fragments shorter
+     * than stream_min_chars into their neighbours. Otherwise text is only chunked when it is very long.
+     * @param {string} text Processed text
+     * @returns {string[]} Chunks in playback order
+     */
+    splitTextForGeneration(text) {
+        // For MegaTTS3, avoid chunking unless text is extremely long (>1000 chars)
+        // This prevents multiple GPU inference calls for normal-length text
+        const maxLength = 1000;
+        const chunkSize = 500; // Larger chunks for fewer requests
+        const separators = ['\n\n', '\n', '.', '?', '!', ',', ' ', ''];
+
+        if (!this.settings.streaming_mode) {
+            return text.length <= maxLength ? [text] : splitRecursive(text, chunkSize, separators);
+        }
+
+        const minLength = Math.max(1, Number(this.settings.stream_min_chars) || 0);
+        const sentences = (text.match(/[^.!?…。！？]+(?:[.!?…。！？]+["'”’)\]]*|$)/g) || [text])
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0)
+            .flatMap(sentence => sentence.length > chunkSize ? splitRecursive(sentence, chunkSize, separators) : [sentence]);
+
+        const chunks = [];
+        let current = '';
+        for (const sentence of sentences) {
+            current = current ? `${current} ${sentence}` : sentence;
+            if (current.length >= minLength) {
+                chunks.push(current);
+                current = '';
+            }
+        }
+
+        // A short tail rides along with the last chunk instead of costing its own GPU call
+        if (current) {
+            if (chunks.length > 0) {
+                chunks[chunks.length - 1] += ` ${current}`;
+            } else {
+                chunks.push(current);
+            }
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Time-stretch generated audio to the speaking rate without changing its pitch.
+     * Independent of the global TTS playback rate, which only changes the audio element's playbackRate.
+     * @param {Response} response Generated audio
+     * @returns {Promise<Response>} Stretched WAV, or the original audio if the rate is 1x or decoding fails
+     */
+    async applySpeakingRate(response) {
+        const rate = Math.min(2, Math.max(0.5, Number(this.settings.speakingRate) || 1));
+        if (Math.abs(rate - 1) < 0.01) {
+            return response;
+        }
+
+        const audioBytes = await response.arrayBuffer();
+        const contentType = response.headers.get('Content-Type') || 'audio/wav';
+
+        try {
+            // Decode at the file's own sample rate so the audio isn't resampled on the way through
+            const header = new DataView(audioBytes);
+            const isWav = audioBytes.byteLength > 28 && header.getUint32(0, false) === 0x52494646;
+            const sampleRate = isWav ? header.getUint32(24, true) : 48000;
+            const context = new OfflineAudioContext(1, 1, sampleRate);
+            const decoded = await context.decodeAudioData(audioBytes.slice(0));
+
+            const channels = [];
+            for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+                channels.push(timeStretchWsola(decoded.getChannelData(channel), decoded.sampleRate, rate));
+            }
+
+            this.logger.debug(`⏩ Applied speaking rate ${rate}x:`, decoded.duration.toFixed(2), 's ->', (channels[0].length / decoded.sampleRate).toFixed(2), 's');
+            return new Response(encodeWav(channels, decoded.sampleRate), {
+                headers: { 'Content-Type': 'audio/wav' }
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Could not apply speaking rate, using original audio:', error);
+            return new Response(audioBytes, {
+                headers: { 'Content-Type': contentType }
+            });
+        }
+    }
+
+    /**
+     * Generate audio on the configured backend, retrying failures according to their class's policy.
+     * @param {string} text Text to speak
+     * @param {string} voiceId Voice ID
+     * @param {object} [options] Generation options
+     * @param {AbortSignal} [options.signal] Abort signal
+     * @param {function(object): void} [options.onProgress] Progress callback
+     * @param {{infer_timestep: number, p_w: number, t_w: number}} [options.params] Generation parameters
+     * @returns {Promise<Response>} Audio response
+     * @throws {MegaTts3Error} When the last attempt fails; its hint says what the user can do
+     */
+    async generateWithBackend(text, voiceId, options = {}) {
+        switch (this.settings.backend) {
+            case 'bridge':
+                return await this.generateWithRetries(text, voiceId, options, attemptOptions => this.attemptBridgeGeneration(text, voiceId, attemptOptions));
+            case 'openai':
+                return await this.generateWithRetries(text, voiceId, options, attemptOptions => this.attemptOpenAiGeneration(text, voiceId, attemptOptions));
+            default:
+                return await this.generateWithGradioApi(text, voiceId, options);
+        }
+    }
+
+    /**
+     * Generate audio through Gradio. Options are those of generateWithBackend.
+     */
+    async generateWithGradioApi(text, voiceId, options = {}) {
+        return await this.generateWithRetries(text, voiceId, options, attemptOptions => this.attemptGradioGeneration(text, voiceId, attemptOptions));
+    }
+
+    /**
+     * Run generation attempts until one succeeds, the failure's retry policy is used up, or the caller aborts.
+     * @param {string} text Text to speak
+     * @param {string} voiceId Voice ID
+     * @param {object} options Options of generateWithBackend
+     * @param {function(object): Promise<Response>} attemptGeneration One attempt; gets the options with the attempt's signal and the request's logger
+     * @returns {Promise<Response>} Audio response
+     */
+    async generateWithRetries(text, voiceId, options, attemptGeneration) {
+        const { signal, onProgress } = options;
+        const log = this.logger.forRequest(this.nextRequestId++);
+        let failed = false;
+        this.onGenerationStarted();
+        try {
+            for (let attempt = 1; ; attempt++) {
+                // The whole-attempt limit aborts like a cancel, so uploads stop and the Gradio job is dropped
+                const attemptController = new AbortController();
+                const onAbort = () => attemptController.abort(signal.reason);
+                signal?.addEventListener('abort', onAbort, { once: true });
+                const totalLimit = this.getTimeout('timeout_total');
+                let timedOut = false;
+                const totalTimer = totalLimit > 0 ? setTimeout(() => {
+                    timedOut = true;
+                    attemptController.abort();
+                }, totalLimit) : null;
+
+                try {
+                    signal?.throwIfAborted();
+                    return await attemptGeneration({ ...options, signal: attemptController.signal, log });
+                } catch (caught) {
+                    if (signal?.aborted || (isAbortError(caught) && !timedOut)) {
+                        log.info('🛑 MegaTTS3 generation cancelled for voice:', voiceId);
+                        throw caught;
+                    }
+                    const error = timedOut
+                        ? new MegaTts3Error('timeout', `No audio within the ${Math.round(totalLimit / 1000)}s limit for a whole attempt`)
+                        : caught;
+
+                    const kind = classifyError(error);
+                    const policy = ERROR_POLICIES[kind];
+
+                    // Only failures that can come from a stale upload make the cached uploads for this voice suspect
+                    if (kind === 'upload' || kind === 'invalid_voice' || kind === 'server_crash') {
+                        this.invalidateUploadCache(voiceId);
+                    }
+                    if (attempt > policy.retries) {
+                        log.error(`❌ MegaTTS3 generation failed (${kind}, attempt ${attempt}):`, error);
+                        failed = true;
+                        const attempts = attempt > 1 ? ` after ${attempt} attempts` : '';
+                        throw new MegaTts3Error(kind, `${policy.label}${attempts}: ${error.message}`, { cause: error, hint: error.hint });
+                    }
+
+                    const delay = getRetryDelay(policy, attempt);
+                    log.warn(`🔁 ${policy.label} (attempt ${attempt} of ${policy.retries + 1}), retrying in ${(delay / 1000).toFixed(1)}s:`, error.message);
+                    this.reportProgress({ stage: 'retrying', label: policy.label, attempt: attempt, retries: policy.retries, delay: delay }, onProgress);
+                    await abortableDelay(delay, signal);
+                } finally {
+                    clearTimeout(totalTimer);
+                    signal?.removeEventListener('abort', onAbort);
+                }
+            }
+        } finally {
+            this.onGenerationFinished(failed);
+        }
+    }
+
+    /**
+     * One generation attempt: upload the voice pair if needed, then submit the job with the resolved protocol.
+     * @param {string} text Text to speak
+     * @param {string} voiceId Voice ID
+     * @param {object} options Options of generateWithBackend plus the request's logger
+     * @returns {Promise<Response>} Audio response
+     */
+    async attemptGradioGeneration(text, voiceId, options) {
+        const { signal, log, params = this.getGenerationParams('narration', voiceId) } = options;
+        const jobOptions = { ...options, textLength: text.length };
+        log.info(`🚀 Starting MegaTTS3 generation for voice: ${voiceId} (${text.length} characters)`);
+        
+        // Construct the file paths - voice IDs may include subfolders
+        const { audioPath, npyPath } = this.getVoiceFilePaths(voiceId);
+        
+        log.debug('🎵 Generating TTS with MegaTTS3:', {
+            text: text,
+            voiceId: voiceId,
+            audioPath: audioPath,
+            npyPath: npyPath,
+            infer_timestep: params.infer_timestep,
+            p_w: params.p_w,
+            t_w: params.t_w,
+            server: this.settings.server_url
+        });
+        
+        // Reuse previous uploads for this voice when Gradio still serves them
+        const { audio: uploadedAudio, npy: uploadedNpy } = await this.getUploadedVoiceFiles(voiceId, audioPath, npyPath, signal, log);
+        
+        log.trace('✅ Files uploaded:', { uploadedAudio, uploadedNpy });
+        
+        // Double-check that we're not accidentally passing strings
+        if (typeof uploadedAudio === 'string') {
+            log.error('❌ ERROR: uploadedAudio is a string, should be FileData object!');
+            throw new MegaTts3Error('upload', 'File upload failed: received string instead of FileData object for audio file');
+        }
+        if (typeof uploadedNpy === 'string') {
+            log.error('❌ ERROR: uploadedNpy is a string, should be FileData object!');
+            throw new MegaTts3Error('upload', 'File upload failed: received string instead of FileData object for NPY file');
+        }
+        
+        // Create EXACT FileData structure as discovered in browser inspection
+        const properAudioData = {
+            "path": uploadedAudio.path || uploadedAudio.name,
+            "url": uploadedAudio.url || this.getGradioFileUrl(uploadedAudio.path || uploadedAudio.name),
+            "orig_name": uploadedAudio.orig_name || uploadedAudio.name,
+            "size": uploadedAudio.size,
+            "mime_type": uploadedAudio.mime_type || "audio/x-wav",
+            "meta": {"_type": "gradio.FileData"}
+        };
+        
+        const properNpyData = {
+            "path": uploadedNpy.path || uploadedNpy.name,
+            "url": uploadedNpy.url || this.getGradioFileUrl(uploadedNpy.path || uploadedNpy.name),
+            "orig_name": uploadedNpy.orig_name || uploadedNpy.name, 
+            "size": uploadedNpy.size,
+            "mime_type": uploadedNpy.mime_type || "",
+            "meta": {"_type": "gradio.FileData"}
+        };
+        
+        log.trace('📦 FileData sent to Gradio:', { audio: properAudioData, npy: properNpyData });
+        
+        const endpoint = this.gradioEndpoint ?? await this.discoverApiEndpoints();
+        const data = this.buildGradioInputs(endpoint, {
+            audio: properAudioData,
+            npy: properNpyData,
+            text: text,
+            timestep: params.infer_timestep,
+            p_w: params.p_w,
+            t_w: params.t_w,
+        });
+
+        // Generate session hash for EventSource connection
+        const sessionHash = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        switch (endpoint.protocol) {
+            case 'predict':
+                return await this.submitPredictJob(endpoint, data, sessionHash, jobOptions);
+            case 'call':
+                return await this.submitCallJob(endpoint, data, jobOptions);
+            default:
+                return await this.submitQueueJob(endpoint, data, sessionHash, jobOptions);
+        }
+    }
+
+    /**
+     * @param {string} key Key of a TIMEOUT_FIELDS setting
+     * @returns {number} Limit in milliseconds, 0 for none
+     */
+    getTimeout(key) {
+        return Math.max(0, Number(this.settings[key]) || 0) * 1000;
+    }
+
+    /**
+     * Inference limit for a chunk: the configured minimum, or a multiple of its expected duration at the measured speed.
+     * @param {number} textLength Characters in the chunk
+     * @returns {number} Limit in milliseconds, 0 for none
+     */
+    getInferenceTimeout(textLength) {
+        const minimum = this.getTimeout('timeout_inference');
+        if (minimum === 0) {
+            return 0;
+        }
+        const expected = textLength * (this.secondsPerChar ?? DEFAULT_SECONDS_PER_CHAR) * 1000;
+        return Math.round(Math.max(minimum, expected * INFERENCE_TIMEOUT_FACTOR));
+    }
+
+    /**
+     * Limit for protocols that don't report when a job leaves the queue, so queue wait and inference share one.
+     * @param {number} textLength Characters in the chunk
+     * @returns {number} Limit in milliseconds, 0 for none
+     */
+    getCombinedTimeout(textLength) {
+        const queue = this.getTimeout('timeout_queue');
+        const inference = this.getInferenceTimeout(textLength);
+        // A disabled part just adds nothing, only both being off removes the limit
+        return queue + inference;
+    }
+
+    /**
+     * Fold a finished generation into the measured speed used to scale inference limits.
+     * @param {number} textLength Characters in the chunk
+     * @param {number} seconds Time the generation took
+     * @param {MegaTts3Logger} log Request logger
+     */
+    recordInferenceSpeed(textLength, seconds, log) {
+        if (textLength < SPEED_SAMPLE_MIN_CHARS || seconds <= 0) {
+            return;
+        }
+        const sample = seconds / textLength;
+        this.secondsPerChar = this.secondsPerChar === null ? sample : this.secondsPerChar * 0.7 + sample * 0.3;
+        log.debug(`⏱️ Inference took ${seconds.toFixed(1)}s for ${textLength} characters, average now ${this.secondsPerChar.toFixed(3)}s per character`);
+    }
+
+    /**
+     * Gradio 4.x/5.x queue flow: join the queue, then follow the session's SSE stream.
+     */
+    async submitQueueJob(endpoint, data, sessionHash, { signal, onProgress, log = this.logger, textLength = 0 } = {}) {
+        const payload = {
+            data: data,
+            event_data: null,
+            fn_index: endpoint.fnIndex,
+            trigger_id: endpoint.triggerId,
+            session_hash: sessionHash
+        };
+        const joinUrl = `${this.settings.server_url}${endpoint.apiPrefix}/queue/join`;
+
+        log.trace(`🎯 Payload sent to ${joinUrl}:`, payload);
+
+        const response = await fetch(joinUrl, {
+            method: 'POST',
+            headers: { 
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload),
+            signal: signal,
+        });
+
+        log.trace('📡 Queue response:', {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            log.error('❌ Queue join failed:', response.status, errorText);
+            throw new MegaTts3Error(classifyHttpStatus(response.status), `Queue join failed: ${response.status} ${response.statusText}. Response: ${errorText}`);
+        }
+
+        const result = await response.json();
+        log.trace('🎉 API call successful:', result);
+
+        // Some servers answer directly instead of queueing
+        if (result && result.data && result.data.length > 0) {
+            log.debug('✅ Got direct audio data from API call!');
+            return await this.normalizeAudioResult(result.data, signal, log);
+        }
+
+        // If we got a queue response, listen via EventSource
+        if (result && result.event_id) {
+            log.debug('📋 Got queue response with event_id:', result.event_id);
+            log.debug('🔄 Listening for audio data via EventSource...');
+            return await this.listenForAudioBytes(result.event_id, sessionHash, endpoint, { signal, onProgress, log, textLength });
+        }
+
+        log.error('❌ Unexpected API response structure:', result);
+        throw new Error('Invalid response from MegaTTS3: No audio data or event_id received');
+    }
+
+    /**
+     * Gradio 3.x flow: a single blocking POST to /api/predict.
+     */
+    async submitPredictJob(endpoint, data, sessionHash, { signal, log = this.logger, textLength = 0 } = {}) {
+        const predictUrl = `${this.settings.server_url}${endpoint.apiPrefix}/api/predict`;
+        log.debug('🎯 Sending predict request to:', predictUrl);
+
+        // The request blocks until the audio is ready
+        const limit = this.getCombinedTimeout(textLength);
+        const startedAt = Date.now();
+        let result;
+        try {
+            const response = await fetch(predictUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    data: data,
+                    fn_index: endpoint.fnIndex,
+                    session_hash: sessionHash,
+                }),
+                signal: withTimeout(signal, limit),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                log.error('❌ Predict request failed:', response.status, errorText);
+                throw new MegaTts3Error(classifyHttpStatus(response.status), `Predict request failed: ${response.status} ${response.statusText}. Response: ${errorText}`);
+            }
+
+            result = await response.json();
+        } catch (error) {
+            if (error?.name === 'TimeoutError') {
+                throw new MegaTts3Error('timeout', `MegaTTS3 /api/predict did not answer within ${Math.round(limit / 1000)}s`);
+            }
+            throw error;
+        }
+
+        if (!result?.data?.length) {
+            log.error('❌ Unexpected predict response structure:', result);
+            throw new Error(`Invalid response from MegaTTS3 /api/predict: ${result?.error || 'No audio data received'}`);
+        }
+
+        // Includes any queue wait, which only makes later limits more generous
+        this.recordInferenceSpeed(textLength, (Date.now() - startedAt) / 1000, log);
+        return await this.normalizeAudioResult(result.data, signal, log);
+    }
+
+    /**
+     * Gradio 4.x/5.x named API flow: POST /call/<api_name> for an event id, then stream its result.
+     */
+    async submitCallJob(endpoint, data, { signal, log = this.logger, textLength = 0 } = {}) {
+        if (!endpoint.apiName) {
+            throw new Error('The MegaTTS3 TTS function has no api_name, so the /call API cannot be used. Switch the API protocol to Auto or Queue.');
+        }
+
+        const callUrl = `${this.settings.server_url}${endpoint.apiPrefix}/call/${endpoint.apiName}`;
+        log.debug('🎯 Sending call request to:', callUrl);
+
+        const response = await fetch(callUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ data: data }),
+            signal: signal,
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            log.error('❌ Call request failed:', response.status, errorText);
+            throw new MegaTts3Error(classifyHttpStatus(response.status), `Call request failed: ${response.status} ${response.statusText}. Response: ${errorText}`);
+        }
+
+        const result = await response.json();
+        if (!result?.event_id) {
+            log.error('❌ Unexpected call response structure:', result);
+            throw new Error('Invalid response from MegaTTS3 /call API: No event_id received');
+        }
+
+        return await new Promise((resolve, reject) => {
+            const eventSource = new EventSource(`${callUrl}/${result.event_id}`);
+            const startedAt = Date.now();
+
+            // The /call stream doesn't say when the job leaves the queue, so both phases share one limit
+            const watchdog = new JobWatchdog(error => {
+                log.error('❌', error.message);
+                finish();
+                this.cancelGradioJob(endpoint, result.event_id, null);
+                reject(error);
+            }, this.getTimeout('timeout_stall'));
+            watchdog.startPhase('Queue wait and inference', this.getCombinedTimeout(textLength));
+
+            const onAbort = () => {
+                finish();
+                this.cancelGradioJob(endpoint, result.event_id, null);
+                reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+            };
+
+            const finish = () => {
+                watchdog.stop();
+                eventSource.close();
+                signal?.removeEventListener('abort', onAbort);
+            };
+
+            if (signal?.aborted) {
+                return onAbort();
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            eventSource.addEventListener('heartbeat', () => watchdog.touch());
+            eventSource.addEventListener('generating', () => watchdog.touch());
+
+            eventSource.addEventListener('complete', async (event) => {
+                finish();
+                this.recordInferenceSpeed(textLength, (Date.now() - startedAt) / 1000, log);
+                try {
+                    const output = JSON.parse(event.data);
+                    resolve(await this.normalizeAudioResult(output, signal, log));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            // Gradio sends a named "error" event for failed jobs; a plain error means the connection dropped
+            eventSource.addEventListener('error', (event) => {
+                finish();
+                if (event instanceof MessageEvent && event.data) {
+                    reject(new MegaTts3Error(classifyProcessFailure(event.data), `MegaTTS3 processing failed: ${event.data}`));
+                } else {
+                    reject(new MegaTts3Error('network', 'MegaTTS3 processing failed (EventSource connection failed)'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask Gradio to drop a queued or running job. Best effort: failures are only logged.
+     * @param {object} endpoint Resolved endpoint
+     * @param {string} eventId Gradio event ID of the job
+     * @param {string|null} sessionHash Session hash the job was submitted with
+     */
+    async cancelGradioJob(endpoint, eventId, sessionHash) {
+        const body = JSON.stringify({
+            event_id: eventId,
+            session_hash: sessionHash,
+            fn_index: endpoint.fnIndex,
+        });
+
+        // Gradio 4.x/5.x cancel running jobs via /cancel; /reset drops them from the queue
+        for (const path of ['/cancel', '/reset']) {
+            try {
+                const response = await fetch(`${this.settings.server_url}${endpoint.apiPrefix}${path}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body,
+                });
+                if (response.ok) {
+                    this.logger.debug(`🛑 Sent ${path} for event ${eventId}`);
+                    return;
+                }
+            } catch (error) {
+                // Try the next endpoint
+            }
+        }
+
+        this.logger.warn('⚠️ Could not cancel MegaTTS3 job on the server:', eventId);
+    }
+
+    /**
+     * Turn any Gradio result shape into an audio response labelled with its real MIME type.
+     * Accepts FileData objects, Gradio file paths, URLs, data URIs, base64 strings, byte arrays and Blobs,
+     * as well as wrappers like { data: [...] } and { output: { data: [...] } }.
+     * HTML and JSON error pages are rejected with the message they contain.
+     * @param {any} result Result from any Gradio protocol
+     * @param {AbortSignal} [signal] Abort signal for downloads
+     * @param {MegaTts3Logger} [log] Request logger
+     * @returns {Promise<Response>} Audio response
+     */
+    async normalizeAudioResult(result, signal, log = this.logger) {
+        const bytes = await this.extractAudioBytes(result, signal, 0, log);
+        return this.toAudioResponse(bytes, log);
+    }
+
+    /**
+     * Label audio bytes with their real MIME type, whatever the server claimed.
+     * @param {Uint8Array} bytes Body that should be audio
+     * @param {MegaTts3Logger} [log] Request logger
+     * @returns {Response} Audio response
+     * @throws {MegaTts3Error} When the body is empty or not audio, e.g. an error page sent with status 200
+     */
+    toAudioResponse(bytes, log = this.logger) {
+        if (bytes.length === 0) {
+            throw new MegaTts3Error('server_crash', 'MegaTTS3 returned an empty audio file');
+        }
+
+        const mimeType = sniffAudioMimeType(bytes);
+        if (!mimeType) {
+            const message = describeNonAudioPayload(bytes);
+            // An HTML page means the URL points at something else, a JSON body is the server's own error
+            const start = new TextDecoder().decode(bytes.subarray(0, 16)).trim();
+            const kind = start.startsWith('<') ? 'config' : /^[{[]/.test(start) ? classifyProcessFailure(message) : 'unknown';
+            throw new MegaTts3Error(kind, message);
+        }
+
+        log.info(`✅ Got ${mimeType} audio:`, bytes.length, 'bytes');
+        return new Response(new Blob([bytes], { type: mimeType }), {
+            headers: { 'Content-Type': mimeType }
+        });
+    }
+
+    /**
+     * Unwrap a Gradio result down to raw bytes, downloading files it points to.
+     * @param {any} value Result or part of it
+     * @param {AbortSignal} [signal] Abort signal
+     * @param {number} depth Recursion depth, to stop on self-referencing shapes
+     * @param {MegaTts3Logger} [log] Request logger
+     * @returns {Promise<Uint8Array>} Raw file bytes
+     */
+    async extractAudioBytes(value, signal, depth, log = this.logger) {
+        if (depth > 5) {
+            throw new Error('Unexpected audio data format from MegaTTS3 API: nested too deeply');
+        }
+        if (value === null || value === undefined) {
+            throw new Error('No audio data in MegaTTS3 response');
+        }
+
+        if (value instanceof ArrayBuffer) {
+            return new Uint8Array(value);
+        }
+        if (ArrayBuffer.isView(value)) {
+            return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        }
+        if (value instanceof Blob) {
+            return new Uint8Array(await value.arrayBuffer());
+        }
+        if (Array.isArray(value)) {
+            // Either raw byte values or a Gradio data array whose first output is the audio
+            if (value.length > 0 && value.every(item => typeof item === 'number')) {
+                return Uint8Array.from(value);
+            }
+            return await this.extractAudioBytes(value[0], signal, depth + 1, log);
+        }
+
+        if (typeof value === 'string') {
+            if (value.startsWith('data:')) {
+                const [header, payload = ''] = value.split(',', 2);
+                const bytes = header.endsWith(';base64') ? decodeBase64(payload) : new TextEncoder().encode(decodeURIComponent(payload));
+                if (/^data:audio\//i.test(header) || sniffAudioMimeType(bytes)) {
+                    return bytes;
+                }
+                throw new Error(`Expected audio data but got a ${header.substring(5) || 'text'} data URI`);
+            }
+            if (/^https?:\/\//i.test(value)) {
+                return await this.downloadAudioBytes(value, signal, log);
+            }
+            if (/^[A-Za-z0-9+/\s]+={0,2}$/.test(value) && value.length > 64) {
+                // Long words without spaces look like base64 too, only take it if it decodes to audio
+                let bytes = null;
+                try {
+                    bytes = decodeBase64(value);
+                } catch {
+                    // Not valid base64 after all
+                }
+                if (bytes && sniffAudioMimeType(bytes)) {
+                    return bytes;
                 }
-            } catch (downloadError) {
-                console.error('❌ Audio download failed:', downloadError);
-                throw new Error(`Audio download failed: ${downloadError.message}`);
             }
-        } else if (typeof audioData === 'string') {
-            console.log('❌ Got string instead of audio data:', audioData.substring(0, 100));
-            throw new Error('Expected audio data but got string. This suggests the API response format changed.');
-        } else {
-            console.error('🤔 Unexpected audio data format:', audioData);
-            console.error('📋 Type:', typeof audioData);
-            console.error('📋 Constructor:', audioData?.constructor?.name);
-            console.error('📋 Keys:', Object.keys(audioData || {}));
-            throw new Error('Unexpected audio data format from MegaTTS3 API');
+            if (isGradioAudioPath(value)) {
+                // A path in Gradio's temp cache, or one already routed through its file endpoint
+                const url = /^\/?(gradio_api\/)?file=/.test(value)
+                    ? `${this.settings.server_url}/${value.replace(/^\//, '')}`
+                    : this.getGradioFileUrl(value);
+                return await this.downloadAudioBytes(url, signal, log);
+            }
+            throw new Error(`Expected audio data but got text: "${value.substring(0, 100)}"`);
         }
-    }
 
-    async handleQueueWithTimeout(eventId) {
-        console.log('Handling queue with timeout approach for event:', eventId);
-        console.log('Based on manual testing, TTS takes ~20s. Waiting 30s for completion...');
-        
-        // Wait 30 seconds (longer than the expected 20s processing time)
-        await new Promise(resolve => setTimeout(resolve, 30000));
-        
-        // Now try to guess the final file location based on common patterns
-        const possibleUrls = [
-            `${this.settings.server_url}/gradio_api/file=/tmp/gradio/${eventId}/audio`,
-            `${this.settings.server_url}/gradio_api/file=/tmp/gradio/${eventId}/output.wav`,
-            `${this.settings.server_url}/gradio_api/file=/tmp/gradio/${eventId}/result.wav`,
-            `${this.settings.server_url}/file=/tmp/gradio/${eventId}/audio`,
-            `${this.settings.server_url}/file=/tmp/gradio/${eventId}/output.wav`,
-            `${this.settings.server_url}/outputs/${eventId}.wav`,
-            `${this.settings.server_url}/outputs/${eventId}/audio.wav`
-        ];
-        
-        console.log('Attempting to find generated audio at common locations...');
-        
-        for (const url of possibleUrls) {
-            try {
-                console.log('Trying:', url);
-                const audioResponse = await fetch(url);
-                
-                if (audioResponse.ok) {
-                    console.log('Found audio at:', url);
-                    const audioBlob = await audioResponse.blob();
-                    console.log('Audio size:', audioBlob.size, 'bytes');
-                    
-                    if (audioBlob.size > 1000) { // Sanity check - audio should be substantial
-                        return new Response(audioBlob, {
-                            headers: { 'Content-Type': 'audio/wav' }
-                        });
-                    } else {
-                        console.log('Audio file too small, trying next location...');
-                    }
-                } else {
-                    console.log('Not found (', audioResponse.status, '):', url);
-                }
-            } catch (error) {
-                console.log('Error trying', url, ':', error.message);
+        if (typeof value === 'object') {
+            // Gradio 3.x inline files carry a data URI or base64 in "data"
+            if (typeof value.data === 'string' && value.data) {
+                return await this.extractAudioBytes(value.data, signal, depth + 1, log);
+            }
+            if (Array.isArray(value.data)) {
+                return await this.extractAudioBytes(value.data, signal, depth + 1, log);
+            }
+            if (value.output) {
+                return await this.extractAudioBytes(value.output, signal, depth + 1, log);
+            }
+            if (typeof value.url === 'string' && value.url) {
+                const url = /^https?:\/\//i.test(value.url) ? value.url : `${this.settings.server_url}${value.url}`;
+                return await this.downloadAudioBytes(url, signal, log);
+            }
+            if (typeof value.path === 'string' && value.path) {
+                return await this.downloadAudioBytes(this.getGradioFileUrl(value.path), signal, log);
+            }
+            if (typeof value.name === 'string' && value.name) {
+                return await this.downloadAudioBytes(this.getGradioFileUrl(value.name), signal, log);
+            }
+            if (value.value !== undefined) {
+                return await this.extractAudioBytes(value.value, signal, depth + 1, log);
+            }
+            if (value.result !== undefined) {
+                return await this.extractAudioBytes(value.result, signal, depth + 1, log);
             }
         }
-        
-        // If direct file guessing fails, fall back to trying some polling
-        console.log('Direct file access failed, trying limited polling...');
-        return await this.pollQueueResults(eventId, 5); // Only 5 attempts since we already waited
+
+        log.error('🤔 Unexpected audio data format:', value);
+        throw new Error(`Unexpected audio data format from MegaTTS3 API (${value?.constructor?.name || typeof value})`);
     }
 
-    async handlePredictResponse(result) {
-        console.log('Processing /predict API response...');
-        console.log('Response structure:', JSON.stringify(result, null, 2));
-        
-        // Check for direct audio data response (ideal case)
-        if (result && result.data && result.data.length > 0) {
-            console.log('✅ Direct response with data from /predict!');
-            const audioData = result.data[0];
-            console.log('📦 Direct audio data type:', typeof audioData);
-            console.log('📦 Direct audio data preview:', audioData?.constructor?.name);
-            
-            // Handle different audio data formats
-            if (audioData instanceof Blob) {
-                console.log('🎵 Got audio Blob directly:', audioData.size, 'bytes');
-                return new Response(audioData, {
-                    headers: { 'Content-Type': 'audio/wav' }
-                });
-            } else if (audioData instanceof ArrayBuffer) {
-                console.log('🎵 Got audio ArrayBuffer directly:', audioData.byteLength, 'bytes');
-                return new Response(audioData, {
-                    headers: { 'Content-Type': 'audio/wav' }
-                });
-            } else if (typeof audioData === 'string' && audioData.startsWith('data:audio')) {
-                console.log('🎵 Got audio data URL, converting to blob...');
-                const response = await fetch(audioData);
-                const blob = await response.blob();
-                return new Response(blob, {
-                    headers: { 'Content-Type': 'audio/wav' }
-                });
-            } else if (typeof audioData === 'string' && audioData.startsWith('/tmp/gradio/')) {
-                console.log('🎵 Got file path (fallback), attempting download:', audioData);
-                // Fallback: try to download the file with proper headers
-                const audioUrl = `${this.settings.server_url}/gradio_api/file=${audioData}`;
-                console.log('🔗 Constructed file URL:', audioUrl);
-                
-                const audioResponse = await fetch(audioUrl, {
-                    headers: {
-                        'Referer': `${this.settings.server_url}/?`
-                    }
-                });
-                
-                if (audioResponse.ok) {
-                    const audioBlob = await audioResponse.blob();
-                    console.log('✅ Successfully downloaded audio:', audioBlob.size, 'bytes');
-                    return new Response(audioBlob, {
-                        headers: { 'Content-Type': 'audio/wav' }
-                    });
-                } else {
-                    console.error('❌ File download failed:', audioResponse.status, audioResponse.statusText);
-                    throw new Error(`Failed to download audio file: ${audioResponse.status} ${audioResponse.statusText}`);
-                }
-            } else {
-                console.log('🤔 Unexpected audio data format:', audioData);
-                console.log('📋 Audio data type:', typeof audioData);
-                console.log('📋 Audio data sample:', JSON.stringify(audioData)?.substring(0, 200));
-                throw new Error('Unexpected audio data format from MegaTTS3 /predict API');
-            }
-        } else if (result && result.event_id) {
-            // Queue-style response - poll for completion and expect audio data
-            console.log(`📋 Queue event ID from /predict: ${result.event_id}`);
-            console.log('🔄 Polling for audio data completion...');
-            return await this.pollForAudioData(result.event_id);
-        } else {
-            console.error('❌ Invalid /predict response structure:', result);
-            console.error('📋 Expected either result.data with audio or result.event_id');
-            throw new Error('Invalid response from MegaTTS3 /predict API: No audio data or event_id received');
+    async downloadAudioBytes(url, signal, log = this.logger) {
+        log.debug('🔗 Downloading audio from:', url);
+        const limit = this.getTimeout('timeout_download');
+
+        try {
+            const audioResponse = await fetch(url, {
+                headers: {
+                    'Referer': `${this.settings.server_url}/?`
+                },
+                signal: withTimeout(signal, limit),
+            });
+
+            if (!audioResponse.ok) {
+                log.error('❌ Failed to download audio file:', audioResponse.status, audioResponse.statusText);
+                throw new Error(`Failed to download audio file: ${audioResponse.status} ${audioResponse.statusText} (${url})`);
+            }
+
+            return new Uint8Array(await audioResponse.arrayBuffer());
+        } catch (error) {
+            if (error?.name === 'TimeoutError') {
+                throw new MegaTts3Error('timeout', `Audio download took longer than ${Math.round(limit / 1000)}s (${url})`);
+            }
+            throw error;
         }
     }
 
-    async listenForAudioBytes(eventId, sessionHash) {
-        console.log(`🔄 Listening for audio bytes via EventSource (event: ${eventId})...`);
-        console.log('⏰ Expected processing time: ~20 seconds for TTS generation');
+    /**
+     * Follow a queued job on the session's SSE stream until it completes.
+     * Queue position, ETA and elapsed inference time are reported through onProgress and the settings status area.
+     * @param {string} eventId Gradio event ID
+     * @param {string} sessionHash Session hash the job was submitted with
+     * @param {object} endpoint Resolved endpoint
+     * @param {object} [options] Job options
+     * @param {AbortSignal} [options.signal] Abort signal
+     * @param {function(object): void} [options.onProgress] Progress callback
+     * @param {number} [options.textLength] Characters in the chunk, used to scale the inference limit
+     * @returns {Promise<Response>} Audio response
+     */
+    async listenForAudioBytes(eventId, sessionHash, endpoint = this.gradioEndpoint ?? LEGACY_GRADIO_ENDPOINT, { signal, onProgress, log = this.logger, textLength = 0 } = {}) {
+        const queueLimit = this.getTimeout('timeout_queue');
+        const inferenceLimit = this.getInferenceTimeout(textLength);
+        log.debug(`🔄 Listening for audio bytes via EventSource (event: ${eventId})...`);
+        log.debug(`⏰ Limits: queue ${queueLimit / 1000 || '∞'}s, inference ${inferenceLimit / 1000 || '∞'}s, silence ${this.getTimeout('timeout_stall') / 1000 || '∞'}s`);
         
         return new Promise((resolve, reject) => {
             // MegaTTS3 uses EventSource for real-time updates
-            const eventSourceUrl = `${this.settings.server_url}/gradio_api/queue/data?session_hash=${sessionHash}`;
-            console.log('🎯 Opening EventSource connection:', eventSourceUrl);
+            const eventSourceUrl = `${this.settings.server_url}${endpoint.apiPrefix}/queue/data?session_hash=${sessionHash}`;
+            log.debug('🎯 Opening EventSource connection:', eventSourceUrl);
             
             const eventSource = new EventSource(eventSourceUrl);
-            let timeoutId;
-            
-            // Set a timeout for the entire operation (2 minutes max)
-            const timeout = setTimeout(() => {
-                console.error('❌ EventSource timeout after 2 minutes');
+            let elapsedTimer = null;
+            let inferenceStartedAt = null;
+
+            // Drop the job on the server too, so a stuck job doesn't keep the GPU busy
+            const watchdog = new JobWatchdog(error => {
+                log.error('❌', error.message);
+                cleanup();
+                this.cancelGradioJob(endpoint, eventId, sessionHash);
+                reject(error);
+            }, this.getTimeout('timeout_stall'));
+            watchdog.startPhase('Queue wait', queueLimit);
+
+            const cleanup = () => {
+                watchdog.stop();
+                clearInterval(elapsedTimer);
                 eventSource.close();
-                reject(new Error('EventSource timeout: MegaTTS3 did not return audio bytes within 2 minutes'));
-            }, 120000);
+                signal?.removeEventListener('abort', onAbort);
+                this.reportProgress({ stage: 'done' }, onProgress);
+            };
+
+            // Stop listening and tell Gradio to drop the job so the GPU is freed
+            const onAbort = () => {
+                log.info(`🛑 Cancelling MegaTTS3 job ${eventId}`);
+                cleanup();
+                this.cancelGradioJob(endpoint, eventId, sessionHash);
+                reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+            };
+            if (signal?.aborted) {
+                return onAbort();
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
             
             eventSource.onopen = () => {
-                console.log('✅ EventSource connection opened');
+                log.debug('✅ EventSource connection opened');
+                watchdog.touch();
             };
             
             eventSource.onmessage = async (event) => {
+                // Any message, heartbeats included, shows the server is alive
+                watchdog.touch();
                 try {
-                    console.log('📡 EventSource message received:', event.data);
+                    log.trace('📡 EventSource message received:', event.data);
                     const data = JSON.parse(event.data);
-                    console.log('📋 Parsed EventSource data:', JSON.stringify(data, null, 2));
+                    log.trace('📋 Parsed EventSource data:', data);
                     
-                    // Check for completion with audio data
-                    if (data.msg === 'process_completed' && data.output && data.output.data) {
-                        console.log('🎉 Process completed! Audio data received');
-                        clearTimeout(timeout);
-                        eventSource.close();
-                        
-                        const audioData = data.output.data[0];
-                        console.log('📦 Audio data from EventSource:', typeof audioData, audioData?.length || audioData?.byteLength || 'unknown size');
-                        
+                    // Check for errors - Gradio 4.x/5.x report failures as a completed message with success: false
+                    if (data.msg === 'process_failed' || data.error || (data.msg === 'process_completed' && data.success === false)) {
+                        const reason = data.output?.error || data.error || data.msg;
+                        log.error('❌ Process failed:', reason);
+                        cleanup();
+                        reject(new MegaTts3Error(classifyProcessFailure(reason), `MegaTTS3 processing failed: ${reason}`));
+                        return;
+                    }
+
+                    if (data.msg === 'process_completed' || data.success === true) {
+                        log.debug('🎉 Process completed! Audio data received');
+                        cleanup();
+                        if (inferenceStartedAt !== null) {
+                            this.recordInferenceSpeed(textLength, (Date.now() - inferenceStartedAt) / 1000, log);
+                        }
+
                         try {
-                            const audioResponse = await this.handleDirectAudioBytes(audioData);
-                            resolve(audioResponse);
+                            resolve(await this.normalizeAudioResult(data.output ?? data, signal, log));
                         } catch (audioError) {
-                            console.error('❌ Failed to process audio bytes:', audioError);
+                            log.error('❌ Failed to process audio bytes:', audioError);
                             reject(audioError);
                         }
                         return;
                     }
-                    
-                    // Check for alternative completion formats
-                    if (data.msg === 'process_completed' || data.success === true) {
-                        console.log('✅ Process completed (alternative format)');
-                        clearTimeout(timeout);
-                        eventSource.close();
-                        
-                        // Look for audio data in various locations
-                        let audioData = null;
-                        if (data.output && data.output.data && data.output.data.length > 0) {
-                            audioData = data.output.data[0];
-                        } else if (data.data && data.data.length > 0) {
-                            audioData = data.data[0];
-                        } else if (data.result) {
-                            audioData = data.result;
-                        }
-                        
-                        if (audioData) {
-                            try {
-                                const audioResponse = await this.handleDirectAudioBytes(audioData);
-                                resolve(audioResponse);
-                            } catch (audioError) {
-                                reject(audioError);
-                            }
-                        } else {
-                            console.error('❌ Process completed but no audio data found');
-                            reject(new Error('Process completed but no audio data found in EventSource response'));
-                        }
+
+                    // Gradio rejects the job outright when its queue is at capacity
+                    if (data.msg === 'queue_full') {
+                        log.warn('⚠️ MegaTTS3 queue is full');
+                        this.reportProgress({ stage: 'queue_full' }, onProgress);
+                        cleanup();
+                        reject(new MegaTts3Error('busy', 'MegaTTS3 queue is full.'));
                         return;
                     }
-                    
-                    // Check for errors
-                    if (data.msg === 'process_failed' || data.error) {
-                        console.error('❌ Process failed:', data.error || data.msg);
-                        clearTimeout(timeout);
-                        eventSource.close();
-                        reject(new Error(`MegaTTS3 processing failed: ${data.error || data.msg}`));
+
+                    // Waiting in the queue: rank is 0-based, rank_eta is seconds until processing starts
+                    if (data.msg === 'estimation') {
+                        log.debug('📊 Queue estimation:', { rank: data.rank, queue_size: data.queue_size, rank_eta: data.rank_eta });
+                        this.reportProgress({
+                            stage: 'queued',
+                            rank: typeof data.rank === 'number' ? data.rank + 1 : null,
+                            queueSize: data.queue_size ?? null,
+                            eta: data.rank_eta ?? null,
+                        }, onProgress);
                         return;
                     }
-                    
-                    // Log progress updates
-                    if (data.msg === 'process_starts' || data.msg === 'queue_full' || data.msg === 'estimation') {
-                        console.log(`📊 Status update: ${data.msg}`, data.rank ? `(queue position: ${data.rank})` : '');
+
+                    // Inference started: tick elapsed time every second until the job finishes
+                    if (data.msg === 'process_starts') {
+                        log.debug('📊 Processing started', data.eta ? `(estimated ${Math.round(data.eta)}s)` : '');
+                        const startedAt = Date.now();
+                        inferenceStartedAt = startedAt;
+                        watchdog.startPhase('Inference', inferenceLimit);
+                        const eta = data.eta ?? null;
+                        const tick = () => this.reportProgress({
+                            stage: 'processing',
+                            eta: eta,
+                            elapsed: (Date.now() - startedAt) / 1000,
+                        }, onProgress);
+                        clearInterval(elapsedTimer);
+                        elapsedTimer = setInterval(tick, 1000);
+                        tick();
                     }
                     
                 } catch (parseError) {
-                    console.warn('⚠️ Failed to parse EventSource message:', parseError, 'Raw data:', event.data);
+                    log.warn('⚠️ Failed to parse EventSource message:', parseError, 'Raw data:', event.data);
                 }
             };
             
             eventSource.onerror = (error) => {
-                console.error('❌ EventSource error:', error);
-                clearTimeout(timeout);
-                eventSource.close();
-                reject(new Error('EventSource connection failed'));
+                log.error('❌ EventSource error:', error);
+                cleanup();
+                reject(new MegaTts3Error('network', 'EventSource connection failed'));
             };
-            
-            // Store reference for cleanup
-            timeoutId = timeout;
         });
     }
 
-    async handleDirectAudioData(audioData) {
-        console.log('🎵 Processing direct audio data...');
-        console.log('📦 Audio data type:', typeof audioData);
-        console.log('📦 Audio data preview:', audioData?.constructor?.name);
-        
-        // Handle different audio data formats
-        if (audioData instanceof Blob) {
-            console.log('✅ Got audio Blob:', audioData.size, 'bytes');
-            return new Response(audioData, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (audioData instanceof ArrayBuffer) {
-            console.log('✅ Got audio ArrayBuffer:', audioData.byteLength, 'bytes');
-            return new Response(audioData, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (typeof audioData === 'string' && audioData.startsWith('data:audio')) {
-            console.log('✅ Got audio data URL, converting...');
-            const response = await fetch(audioData);
-            const blob = await response.blob();
-            return new Response(blob, {
-                headers: { 'Content-Type': 'audio/wav' }
-            });
-        } else if (typeof audioData === 'string' && audioData.startsWith('/tmp/gradio/')) {
-            console.log('🔄 Got file path, downloading with Referer header:', audioData);
-            const audioUrl = `${this.settings.server_url}/gradio_api/file=${audioData}`;
-            
-            const audioResponse = await fetch(audioUrl, {
-                headers: {
-                    'Referer': `${this.settings.server_url}/?`
-                }
-            });
-            
-            if (audioResponse.ok) {
-                const audioBlob = await audioResponse.blob();
-                console.log('✅ Successfully downloaded audio:', audioBlob.size, 'bytes');
-                return new Response(audioBlob, {
-                    headers: { 'Content-Type': 'audio/wav' }
-                });
-            } else {
-                throw new Error(`Failed to download audio: ${audioResponse.status} ${audioResponse.statusText}`);
-            }
-        } else {
-            console.error('🤔 Unexpected audio data format:', audioData);
-            throw new Error('Unexpected audio data format from MegaTTS3');
-        }
-    }
+    /**
+     * Show queue/inference progress in the settings status area and forward it to the caller.
+     * @param {object} progress Progress update; stage is queued, processing, queue_full, retrying or done
+     * @param {function(object): void} [onProgress] Progress callback
+     */
+    reportProgress(progress, onProgress) {
+        const text = this.formatProgress(progress);
+        $('#megatts3_queue_status').text(text || 'Idle');
 
-    async pollQueueResults(eventId, maxAttempts = 60) {
-        console.log('Polling for queue results (event:', eventId, ')...');
-        console.log('Expected processing time: ~20 seconds based on manual testing');
-        
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        if (typeof onProgress === 'function') {
             try {
-                // Since we know it takes ~20s, be more patient early on
-                if (attempt <= 10) {
-                    console.log('Early polling attempt', attempt, '/60 - allowing time for processing...');
-                }
-                
-                // Try different polling endpoints - focus on gradio_api patterns
-                const pollEndpoints = [
-                    `/gradio_api/queue/data/${eventId}`,
-                    `/gradio_api/queue/status/${eventId}`, 
-                    `/gradio_api/queue/${eventId}`,
-                    `/queue/data/${eventId}`,
-                    `/queue/status/${eventId}`, 
-                    `/queue/${eventId}`,
-                    `/api/v1/queue/${eventId}`,
-                    `/api/queue/${eventId}`,
-                    `/run/predict/${eventId}`,
-                    `/api/predict/${eventId}`
-                ];
-                
-                console.log('Poll attempt', attempt, '/', maxAttempts, 'for event', eventId);
-                
-                for (const endpoint of pollEndpoints) {
-                    try {
-                        const pollUrl = `${this.settings.server_url}${endpoint}`;
-                        console.log('Trying poll endpoint:', pollUrl);
-                        
-                        const pollResponse = await fetch(pollUrl);
-                        console.log('Poll response from', endpoint, ':', pollResponse.status, pollResponse.statusText);
-                        
-                        if (pollResponse.ok) {
-                            const pollResult = await pollResponse.json();
-                            console.log('Poll result from', endpoint, ':', JSON.stringify(pollResult, null, 2));
-                            
-                            // Check for completion in various formats
-                            if (pollResult.status === 'complete' || 
-                                pollResult.success === true ||
-                                pollResult.success === 'true' ||
-                                (pollResult.data && pollResult.data.length > 0) ||
-                                pollResult.output ||
-                                pollResult.result) {
-                                console.log('Queue processing complete!');
-                                return await this.handleQueueResponse(pollResult);
-                            } else if (pollResult.status === 'failed' || 
-                                      pollResult.error || 
-                                      pollResult.success === false) {
-                                throw new Error(`Queue processing failed: ${pollResult.error || pollResult.status || 'Unknown error'}`);
-                            } else {
-                                // Still processing - log status and continue
-                                const status = pollResult.status || pollResult.state || 'processing';
-                                console.log('Status:', status, ', continuing to poll...');
-                                
-                                // Found a working endpoint, break to try next poll cycle
-                                break;
-                            }
-                        } else if (pollResponse.status === 404) {
-                            // Endpoint doesn't exist, try next one
-                            console.log('404 on', endpoint, ', trying next endpoint');
-                            continue;
-                        } else {
-                            console.log(endpoint, 'returned', pollResponse.status, ', trying next endpoint');
-                            const errorText = await pollResponse.text();
-                            console.log('Error response:', errorText.substring(0, 200));
-                            continue;
-                        }
-                    } catch (pollError) {
-                        console.log('Error on', endpoint, ':', pollError.message);
-                        continue;
-                    }
-                }
-                
-                // If no endpoints worked, we might need to wait longer
-                if (attempt <= 20 && attempt % 5 === 0) {
-                    console.log(attempt, '/60 attempts completed. MegaTTS3 processing typically takes 20s...');
-                }
-                
-                // Wait before next poll attempt - longer delays for later attempts
-                const delay = attempt <= 10 ? 2000 : Math.min(1000 + (attempt * 100), 3000);
-                console.log('Waiting', delay, 'ms before next poll attempt...');
-                await new Promise(resolve => setTimeout(resolve, delay));
-                
+                onProgress({ ...progress, text });
             } catch (error) {
-                console.warn('Poll attempt', attempt, 'failed:', error.message);
+                this.logger.warn('⚠️ Progress callback failed:', error);
             }
         }
-        
-        // If we reach here, polling timed out
-        console.error('Polling timeout after', maxAttempts, 'attempts (', maxAttempts * 2, '+ seconds) for event', eventId);
-        console.error('Suggestion: Check MegaTTS3 gradio interface manually for this event_id');
-        throw new Error('Polling timeout: MegaTTS3 server did not respond within expected time');
     }
 
-    async handleQueueResponse(queueResult) {
-        // Handle Gradio queue-based response
-        console.log('Processing queue response...');
-        console.log('Queue result structure:', JSON.stringify(queueResult, null, 2));
-        
-        // Check multiple possible data locations
-        let audioData = null;
-        
-        if (queueResult.data && queueResult.data.length > 0) {
-            audioData = queueResult.data[0];
-            console.log('Found audio data in queueResult.data[0]:', audioData);
-        } else if (queueResult.output) {
-            audioData = queueResult.output;
-            console.log('Found audio data in queueResult.output:', audioData);
-        } else if (queueResult.result) {
-            audioData = queueResult.result;
-            console.log('Found audio data in queueResult.result:', audioData);
-        } else {
-            console.error('Queue response missing data field or data is empty');
-            console.error('Full queue result:', queueResult);
-            
-            // If this is just the initial queue response with event_id, we shouldn't be here
-            if (queueResult.event_id) {
-                console.log('This appears to be an initial queue response, should have been caught earlier');
-                throw new Error('Received initial queue response instead of completed result');
+    formatProgress(progress) {
+        const seconds = value => `${Math.max(0, Math.round(value))}s`;
+
+        switch (progress.stage) {
+            case 'queued': {
+                const position = progress.rank !== null
+                    ? `Queue position ${progress.rank}${progress.queueSize ? ` of ${progress.queueSize}` : ''}`
+                    : 'Queued';
+                return progress.eta !== null ? `${position}, ~${seconds(progress.eta)} wait` : position;
             }
-            
-            throw new Error('Invalid response from MegaTTS3 server: No audio data received');
+            case 'processing':
+                return progress.eta
+                    ? `Generating: ${seconds(progress.elapsed)} of ~${seconds(progress.eta)}`
+                    : `Generating: ${seconds(progress.elapsed)}`;
+            case 'queue_full':
+                return 'Queue full, server busy';
+            case 'retrying':
+                return `${progress.label}, retry ${progress.attempt} of ${progress.retries} in ${seconds(progress.delay / 1000)}`;
+            default:
+                return '';
         }
-        
-        if (audioData) {
-            let audioUrl;
-            
-            if (typeof audioData === 'string') {
-                // Expected format: "/tmp/gradio/[hash]/audio"
-                console.log('Audio data is string path:', audioData);
-                
-                if (audioData.startsWith('http')) {
-                    // Already a full URL
-                    audioUrl = audioData;
-                } else if (audioData.startsWith('/tmp/gradio/')) {
-                    // Gradio temp file - construct the URL as shown in manual testing
-                    audioUrl = `${this.settings.server_url}/gradio_api/file=${audioData}`;
-                    console.log('Constructed gradio file URL:', audioUrl);
-                } else {
-                    // Other file path
-                    audioUrl = `${this.settings.server_url}/file=${audioData}`;
-                }
-            } else if (audioData && audioData.url) {
-                // If it's a file object with url property
-                console.log('Audio data has url property:', audioData.url);
-                audioUrl = audioData.url.startsWith('http') ? 
-                    audioData.url : 
-                    `${this.settings.server_url}${audioData.url}`;
-            } else if (audioData && audioData.path) {
-                // If it's a file object with path property
-                console.log('Audio data has path property:', audioData.path);
-                if (audioData.path.startsWith('/tmp/gradio/')) {
-                    audioUrl = `${this.settings.server_url}/gradio_api/file=${audioData.path}`;
-                } else {
-                    audioUrl = `${this.settings.server_url}/file=${audioData.path}`;
-                }
-            } else if (audioData && audioData.name) {
-                // If it's a file object with name property
-                console.log('Audio data has name property:', audioData.name);
-                audioUrl = `${this.settings.server_url}/file=${audioData.name}`;
+    }
+
+    getUploadCacheKey(voiceId) {
+        return `${this.settings.server_url}|${this.settings.voice_directory}|${voiceId}`;
+    }
+
+    invalidateUploadCache(voiceId) {
+        if (this.uploadCache.delete(this.getUploadCacheKey(voiceId))) {
+            this.logger.debug('🗑️ Dropped cached uploads for voice:', voiceId);
+        }
+    }
+
+    /**
+     * Get Gradio FileData for a voice's .wav/.npy pair, uploading only when there is no live cached upload.
+     * Cache entries are keyed by server URL and voice directory, so changing either forces a fresh upload.
+     * @param {string} voiceId Voice ID
+     * @param {string} audioPath Server-side path of the reference .wav
+     * @param {string} npyPath Server-side path of the .npy latents
+     * @param {AbortSignal} [signal] Abort signal
+     * @param {MegaTts3Logger} [log] Request logger
+     * @returns {Promise<{audio: object, npy: object}>} Uploaded FileData objects
+     */
+    async getUploadedVoiceFiles(voiceId, audioPath, npyPath, signal, log = this.logger) {
+        const cacheKey = this.getUploadCacheKey(voiceId);
+        const cached = this.uploadCache.get(cacheKey);
+
+        if (cached) {
+            const now = Date.now();
+            if (now - cached.uploadedAt > UPLOAD_CACHE_MAX_AGE) {
+                log.debug('⌛ Cached uploads expired for voice:', voiceId);
+            } else if (now - cached.validatedAt < UPLOAD_CACHE_VALIDATE_INTERVAL) {
+                log.debug('♻️ Reusing cached uploads for voice:', voiceId);
+                return cached;
+            } else if (await this.isUploadLive(cached.audio, signal) && await this.isUploadLive(cached.npy, signal)) {
+                log.debug('♻️ Cached uploads still live, reusing for voice:', voiceId);
+                cached.validatedAt = now;
+                return cached;
             } else {
-                console.error('Unexpected audio data format:', audioData);
-                console.error('Audio data type:', typeof audioData);
-                console.error('Audio data keys:', Object.keys(audioData || {}));
-                throw new Error('Unexpected response format from MegaTTS3');
+                log.info('🔄 Cached uploads no longer served by Gradio, re-uploading voice:', voiceId);
             }
-            
-            console.log('Fetching generated audio from:', audioUrl);
-            
-            try {
-                const audioResponse = await fetch(audioUrl);
-                console.log('Audio fetch response:', audioResponse.status, audioResponse.statusText);
-                
-                if (!audioResponse.ok) {
-                    console.error('Failed to fetch audio:', audioResponse.status, audioResponse.statusText);
-                    const errorText = await audioResponse.text();
-                    console.error('Error response:', errorText.substring(0, 500));
-                    throw new Error(`Failed to fetch generated audio: ${audioResponse.status} ${audioResponse.statusText}`);
-                }
+            this.uploadCache.delete(cacheKey);
+        }
 
-                const audioBlob = await audioResponse.blob();
-                console.log('Successfully retrieved generated audio! Size:', audioBlob.size, 'bytes');
-                
-                return new Response(audioBlob, {
-                    headers: { 'Content-Type': 'audio/wav' }
-                });
-            } catch (fetchError) {
-                console.error('Error fetching audio:', fetchError);
-                throw new Error(`Failed to fetch generated audio: ${fetchError.message}`);
+        // Catch a broken or mismatched pair here rather than deep inside inference, after both uploads
+        let health = null;
+        try {
+            health = await this.checkVoiceHealth(voiceId, signal);
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
             }
-        } else {
-            throw new Error('No audio data found in queue response');
+            // The upload below reports unreachable files properly
+            log.debug('🩺 Could not check voice files before upload:', error.message);
+        }
+        if (health?.status === 'error') {
+            throw new MegaTts3Error('invalid_voice', `${voiceId} has broken voice files: ${health.issues.join('; ')}`);
+        }
+        if (health?.status === 'warning') {
+            log.warn(`⚠️ Voice ${voiceId}:`, health.issues.join('; '));
+        }
+
+        // First, we need to upload the files to MegaTTS3
+        log.debug('📁 Starting file upload process...');
+
+        let uploadedAudio, uploadedNpy;
+
+        try {
+            log.debug('📁 Uploading audio file...');
+            uploadedAudio = await this.uploadVoiceFile(voiceId, audioPath, signal, log);
+            log.trace('✅ Audio upload result:', uploadedAudio);
+
+            // Add a small delay between uploads to prevent CORS race conditions
+            log.debug('⏳ Waiting 500ms before NPY upload...');
+            await abortableDelay(500, signal);
+
+        } catch (audioError) {
+            if (isAbortError(audioError)) {
+                throw audioError;
+            }
+            log.error('❌ Audio upload failed:', audioError);
+            throw new MegaTts3Error(audioError.kind ?? 'upload', `Audio file upload failed: ${audioError.message}`, { cause: audioError });
+        }
+
+        try {
+            log.debug('📁 Uploading NPY file...');
+            uploadedNpy = await this.uploadVoiceFile(voiceId, npyPath, signal, log);
+            log.trace('✅ NPY upload result:', uploadedNpy);
+        } catch (npyError) {
+            if (isAbortError(npyError)) {
+                throw npyError;
+            }
+            log.error('❌ NPY upload failed:', npyError);
+            throw new MegaTts3Error(npyError.kind ?? 'upload', `NPY file upload failed: ${npyError.message}`, { cause: npyError });
+        }
+
+        const entry = {
+            audio: uploadedAudio,
+            npy: uploadedNpy,
+            uploadedAt: Date.now(),
+            validatedAt: Date.now(),
+        };
+        this.uploadCache.set(cacheKey, entry);
+        return entry;
+    }
+
+    /**
+     * Check that Gradio still serves a previously uploaded file.
+     * Only the response status is needed, so the body download is aborted as soon as headers arrive.
+     * @param {object} fileData Gradio FileData returned by uploadBlobToGradio
+     * @param {AbortSignal} [signal] Abort signal of the generation
+     * @returns {Promise<boolean>} True if the file is still available
+     */
+    async isUploadLive(fileData, signal) {
+        if (!fileData?.url) {
+            return false;
+        }
+
+        const controller = new AbortController();
+        const signals = [controller.signal, AbortSignal.timeout(UPLOAD_LIVENESS_TIMEOUT), signal].filter(Boolean);
+        try {
+            const response = await fetch(fileData.url, {
+                cache: 'no-store',
+                headers: { 'Range': 'bytes=0-0' },
+                signal: AbortSignal.any(signals),
+            });
+            return response.ok;
+        } catch (error) {
+            // A cancelled generation stops here instead of re-uploading
+            if (signal?.aborted) {
+                throw error;
+            }
+            this.logger.debug('🔍 Upload liveness check failed:', fileData.url, error.message);
+            return false;
+        } finally {
+            controller.abort();
+        }
+    }
+
+    /**
+     * Upload one file of a voice pair: imported voices straight from IndexedDB, others through the file server.
+     * @param {string} voiceId Voice ID
+     * @param {string} filePath Path from getVoiceFilePaths
+     * @param {AbortSignal} [signal] Abort signal
+     * @param {MegaTts3Logger} [log] Request logger
+     * @returns {Promise<object>} Gradio FileData
+     */
+    async uploadVoiceFile(voiceId, filePath, signal, log = this.logger) {
+        if (!isLocalVoiceId(voiceId)) {
+            return await this.uploadFileToGradio(filePath, signal, log);
+        }
+
+        const entry = await idbRequest(LOCAL_VOICE_STORE, 'readonly', store => store.get(voiceId));
+        if (!entry) {
+            throw new MegaTts3Error('invalid_voice', `Imported voice ${voiceId} is no longer in the browser library`);
         }
+        log.debug('📥 Uploading imported voice file:', filePath);
+        return await this.uploadBlobToGradio(filePath.endsWith('.npy') ? entry.npy : entry.wav, filePath, signal, log);
     }
 
-    async uploadFileToGradio(filePath) {
+    async uploadFileToGradio(filePath, signal, log = this.logger) {
         try {
-            console.log('Uploading file:', filePath);
+            log.debug('Uploading file:', filePath);
             
-            // Method 1: Try to fetch the file from file server (port 8000)
+            // Fetch the file from the voice file server
+            const fileServerUrl = this.getVoiceFileUrl(filePath);
             try {
-                // Extract just the relative path from assets onwards
-                const relativePath = filePath.includes('/assets/') ? 
-                    filePath.substring(filePath.indexOf('/assets/')) : 
-                    `/assets/voices/${filePath.split('/').pop()}`;
-                
-                const fileServerUrl = this.settings.server_url.replace(':7929', ':8000') + relativePath;
-                console.log('Trying file server:', fileServerUrl);
+                log.debug('Trying file server:', fileServerUrl);
                 
                 // Force fresh connection and prevent caching/reuse for NPY files
                 const fetchOptions = {
@@ -1408,7 +4201,8 @@ export class MegaTts3Provider {
                         'Pragma': 'no-cache',
                         'Connection': 'close',  // Force connection close
                         'X-Requested-With': 'XMLHttpRequest'  // Help identify the request
-                    }
+                    },
+                    signal: signal,
                 };
                 
                 // Add unique cache buster to URL for NPY files
@@ -1416,81 +4210,91 @@ export class MegaTts3Provider {
                 if (filePath.endsWith('.npy')) {
                     const cacheBuster = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
                     finalUrl += `?cb=${cacheBuster}&npy=1`;
-                    console.log('NPY file: Using cache-busted URL:', finalUrl);
+                    log.debug('NPY file: Using cache-busted URL:', finalUrl);
                 }
                 
                 const fileResponse = await fetch(finalUrl, fetchOptions);
-                console.log('File server response:', fileResponse.status, fileResponse.statusText);
-                console.log('Response headers:', Array.from(fileResponse.headers.entries()));
+                log.debug('File server response:', fileResponse.status, fileResponse.statusText);
+                log.trace('Response headers:', Array.from(fileResponse.headers.entries()));
                 
                 if (fileResponse.ok) {
-                    console.log('File server access successful');
+                    log.debug('File server access successful');
                     const fileBlob = await fileResponse.blob();
-                    console.log('File blob size:', fileBlob.size, 'bytes');
+                    log.debug('File blob size:', fileBlob.size, 'bytes');
                     
                     // For NPY files, ensure proper MIME type and add delay to prevent connection reuse
                     if (filePath.endsWith('.npy')) {
-                        console.log('Processing NPY file - setting application/octet-stream MIME type');
+                        log.debug('Processing NPY file - setting application/octet-stream MIME type');
                         const processedBlob = new Blob([fileBlob], { type: 'application/octet-stream' });
                         
                         // Small delay to ensure connection is properly closed
-                        console.log('NPY processing delay to ensure clean connection...');
-                        await new Promise(resolve => setTimeout(resolve, 1000));
+                        log.debug('NPY processing delay to ensure clean connection...');
+                        await abortableDelay(1000, signal);
                         
-                        return await this.uploadBlobToGradio(processedBlob, filePath);
+                        return await this.uploadBlobToGradio(processedBlob, filePath, signal, log);
                     } else {
-                        return await this.uploadBlobToGradio(fileBlob, filePath);
+                        return await this.uploadBlobToGradio(fileBlob, filePath, signal, log);
                     }
                 } else {
-                    console.warn('File server failed (', fileResponse.status, '):', fileResponse.statusText);
-                    throw new Error(`File server returned ${fileResponse.status}`);
+                    log.warn('File server failed (', fileResponse.status, '):', fileResponse.statusText);
+                    // A missing file won't appear by retrying
+                    const kind = fileResponse.status === 404 ? 'invalid_voice' : 'upload';
+                    throw new MegaTts3Error(kind, `File server returned ${fileResponse.status} for ${fileServerUrl}`);
                 }
             } catch (error) {
-                console.warn('File server access failed:', error.message);
-                throw new Error(`CORS file access failed: ${error.message}`);
+                if (isAbortError(error) || error instanceof MegaTts3Error) {
+                    throw error;
+                }
+                log.warn('File server access failed:', error.message);
+                throw new Error(`Could not fetch ${fileServerUrl}, is the file server running and sending CORS headers? (${error.message})`);
             }
             
         } catch (error) {
-            console.error('File upload completely failed:', error);
-            throw new Error(`Failed to upload file ${filePath}: ${error.message}`);
+            if (isAbortError(error)) {
+                throw error;
+            }
+            log.error('File upload completely failed:', error);
+            throw new MegaTts3Error(error.kind ?? 'upload', `Failed to upload file ${filePath}: ${error.message}`, { cause: error });
         }
     }
 
-    async uploadBlobToGradio(blob, originalPath) {
+    async uploadBlobToGradio(blob, originalPath, signal, log = this.logger) {
         try {
-            console.log('Uploading blob to Gradio for queue system...');
-            console.log('Blob size:', blob.size, 'bytes, type:', blob.type);
+            log.debug('Uploading blob to Gradio for queue system...');
+            log.debug('Blob size:', blob.size, 'bytes, type:', blob.type);
             
             const formData = new FormData();
             const fileName = originalPath.split('/').pop();
             formData.append('files', blob, fileName);
             
             // Try the Gradio API upload endpoint (remove deprecated /upload)
-            const uploadEndpoints = ['/gradio_api/upload', '/api/upload'];
+            const apiPrefix = (this.gradioEndpoint ?? LEGACY_GRADIO_ENDPOINT).apiPrefix;
+            const uploadEndpoints = [...new Set([`${apiPrefix}/upload`, '/gradio_api/upload', '/upload', '/api/upload'])];
             
             for (const endpoint of uploadEndpoints) {
                 try {
-                    console.log('Trying upload endpoint:', endpoint);
+                    log.debug('Trying upload endpoint:', endpoint);
                     const uploadResponse = await fetch(`${this.settings.server_url}${endpoint}`, {
                         method: 'POST',
-                        body: formData
+                        body: formData,
+                        signal: signal,
                     });
                     
-                    console.log('Upload response:', uploadResponse.status, uploadResponse.statusText);
+                    log.debug('Upload response:', uploadResponse.status, uploadResponse.statusText);
                     
                     if (uploadResponse.ok) {
                         const uploadResult = await uploadResponse.json();
-                        console.log('File uploaded successfully to Gradio:', uploadResult);
+                        log.trace('File uploaded successfully to Gradio:', uploadResult);
                         
                         // Handle both array and single responses
                         const rawFileData = Array.isArray(uploadResult) ? uploadResult[0] : uploadResult;
-                        console.log('Raw Gradio FileData:', JSON.stringify(rawFileData, null, 2));
-                        console.log('Raw FileData type:', typeof rawFileData);
+                        log.trace('Raw Gradio FileData:', rawFileData);
+                        log.trace('Raw FileData type:', typeof rawFileData);
                         
                         // Handle case where Gradio returns just a string path
                         let fileData;
                         if (typeof rawFileData === 'string') {
-                            console.log('Converting string path to FileData object');
+                            log.debug('Converting string path to FileData object');
                             fileData = {
                                 path: rawFileData,
                                 name: fileName,
@@ -1505,7 +4309,7 @@ export class MegaTts3Provider {
                         // Ensure the FileData has the required structure
                         const properFileData = {
                             "path": fileData.path || fileData.name,
-                            "url": fileData.url || `${this.settings.server_url}/gradio_api/file=${fileData.path || fileData.name}`,
+                            "url": fileData.url || this.getGradioFileUrl(fileData.path || fileData.name),
                             "orig_name": fileData.orig_name || fileData.name || fileName,
                             "size": fileData.size || blob.size,
                             "mime_type": fileData.mime_type || blob.type || (fileName.endsWith('.wav') ? 'audio/x-wav' : 'application/octet-stream'),
@@ -1513,23 +4317,26 @@ export class MegaTts3Provider {
                             "meta": {"_type": "gradio.FileData"}
                         };
                         
-                        console.log('Processed FileData for queue:', JSON.stringify(properFileData, null, 2));
+                        log.trace('Processed FileData for queue:', properFileData);
                         return properFileData;
                     } else {
-                        console.warn('Upload endpoint', endpoint, 'failed:', uploadResponse.status);
+                        log.warn('Upload endpoint', endpoint, 'failed:', uploadResponse.status);
                         const errorText = await uploadResponse.text();
-                        console.warn('Error response:', errorText);
+                        log.warn('Error response:', errorText);
                     }
                 } catch (endpointError) {
-                    console.warn('Upload endpoint', endpoint, 'error:', endpointError.message);
+                    if (isAbortError(endpointError)) {
+                        throw endpointError;
+                    }
+                    log.warn('Upload endpoint', endpoint, 'error:', endpointError.message);
                 }
             }
             
             // No fallback - if upload fails, we should fail
-            throw new Error('All Gradio upload endpoints failed');
+            throw new MegaTts3Error('upload', 'All Gradio upload endpoints failed');
             
         } catch (error) {
-            console.error('Blob upload failed:', error);
+            log.error('Blob upload failed:', error);
             throw error;
         }
     }
@@ -1541,14 +4348,210 @@ export class MegaTts3Provider {
         throw new Error('Local file system access not available in browser');
     }
 
-    async generateWithCli(text, voiceId) {
-        // CLI-based generation would require a backend service to execute Python commands
-        // This is a placeholder for CLI integration
-        throw new Error('CLI integration not implemented. Please use Gradio API mode.');
+    /**
+     * One generation attempt on the local bridge: submit a job, poll it until the audio is ready, then download it.
+     * @param {string} text Text to speak
+     * @param {string} voiceId Voice ID, relative to the bridge's voice folder
+     * @param {object} options Options of generateWithBackend plus the request's logger
+     * @returns {Promise<Response>} Audio response
+     */
+    async attemptBridgeGeneration(text, voiceId, options) {
+        const { signal, log, params = this.getGenerationParams('narration', voiceId) } = options;
+        if (isLocalVoiceId(voiceId)) {
+            throw new MegaTts3Error('config', `${voiceId} is only stored in this browser, the bridge can only use voices in its own voice folder`, {
+                hint: 'Switch the backend to the Gradio API to use imported voices, or copy the pair into the bridge\'s voice folder.',
+            });
+        }
+
+        const bridgeUrl = this.getBridgeUrl();
+        log.info(`🚀 Starting MegaTTS3 bridge generation for voice: ${voiceId} (${text.length} characters)`);
+        const response = await fetch(`${bridgeUrl}/v1/jobs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                voice: voiceId,
+                text: text,
+                timestep: params.infer_timestep,
+                p_w: params.p_w,
+                t_w: params.t_w,
+            }),
+            signal: signal,
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            // The bridge answers 404 when the voice has no .wav/.npy pair in its folder
+            const kind = response.status === 404 ? 'invalid_voice' : classifyHttpStatus(response.status);
+            throw new MegaTts3Error(kind, `Bridge rejected the job: ${body?.error ?? `${response.status} ${response.statusText}`} (${bridgeUrl}/v1/jobs)`);
+        }
+
+        const job = await response.json();
+        const jobUrl = `${bridgeUrl}/v1/jobs/${encodeURIComponent(job.id)}`;
+        log.debug('📋 Bridge job created:', job.id);
+        try {
+            await this.waitForBridgeJob(jobUrl, { ...options, textLength: text.length });
+            return this.toAudioResponse(await this.downloadAudioBytes(`${jobUrl}/audio`, signal, log), log);
+        } finally {
+            // Cancels the job if it is still pending, otherwise frees its audio on the bridge
+            fetch(jobUrl, { method: 'DELETE', keepalive: true })
+                .catch(error => log.debug('⚠️ Could not delete bridge job', job.id, error.message));
+        }
+    }
+
+    /**
+     * One generation attempt on an OpenAI-compatible speech server. The request blocks until the audio is ready.
+     * @param {string} text Text to speak
+     * @param {string} voiceId Voice ID as the server lists it
+     * @param {object} options Options of generateWithBackend plus the request's logger
+     * @returns {Promise<Response>} Audio response
+     */
+    async attemptOpenAiGeneration(text, voiceId, options) {
+        const { signal, log, params = this.getGenerationParams('narration', voiceId) } = options;
+        if (isLocalVoiceId(voiceId)) {
+            throw new MegaTts3Error('config', `${voiceId} is only stored in this browser, the speech server can only use its own voices`, {
+                hint: 'Switch the backend to the Gradio API to use imported voices, or add the pair to the speech server.',
+            });
+        }
+
+        const speechUrl = `${this.getOpenAiUrl()}/audio/speech`;
+        // The speech server answers one request at a time without a queue of its own to wait in
+        const limit = this.getInferenceTimeout(text.length);
+        const startedAt = Date.now();
+        log.info(`🚀 Starting MegaTTS3 speech server generation for voice: ${voiceId} (${text.length} characters)`);
+
+        let response;
+        try {
+            response = await fetch(speechUrl, {
+                method: 'POST',
+                headers: await this.getOpenAiHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    model: this.settings.openai_model || 'megatts3',
+                    voice: voiceId,
+                    input: text,
+                    response_format: 'wav',
+                    // The speaking rate is applied in the browser, so cached audio works for every rate
+                    speed: 1.0,
+                    timestep: params.infer_timestep,
+                    p_w: params.p_w,
+                    t_w: params.t_w,
+                }),
+                signal: withTimeout(signal, limit),
+            });
+
+            if (!response.ok) {
+                // OpenAI-style servers send { error: { message } }, FastAPI ones { detail }
+                const body = await response.json().catch(() => null);
+                const reason = body?.error?.message ?? body?.error ?? body?.detail ?? `${response.status} ${response.statusText}`;
+                const message = `Speech server rejected the request: ${typeof reason === 'string' ? reason : JSON.stringify(reason)} (${speechUrl})`;
+                if (response.status === 401 || response.status === 403) {
+                    throw new MegaTts3Error('config', message, { hint: 'Check the Speech Server API Key in the MegaTTS3 settings.' });
+                }
+                if ((response.status === 400 || response.status === 404) && /voice/i.test(message)) {
+                    throw new MegaTts3Error('invalid_voice', message, { hint: 'Pick a voice the speech server lists, refreshing voices if it changed.' });
+                }
+                throw new MegaTts3Error(classifyHttpStatus(response.status), message);
+            }
+
+            const audioResponse = this.toAudioResponse(new Uint8Array(await response.arrayBuffer()), log);
+            this.recordInferenceSpeed(text.length, (Date.now() - startedAt) / 1000, log);
+            return audioResponse;
+        } catch (error) {
+            if (error?.name === 'TimeoutError') {
+                throw new MegaTts3Error('timeout', `Speech server did not answer within ${Math.round(limit / 1000)}s (${speechUrl})`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Poll a bridge job until it is done, reporting queue position and elapsed time like a Gradio job.
+     * @param {string} jobUrl Job URL on the bridge
+     * @param {object} options Attempt options with the chunk's text length
+     * @returns {Promise<void>} Resolves when the audio can be downloaded
+     */
+    async waitForBridgeJob(jobUrl, { signal, onProgress, log, textLength = 0 }) {
+        // The watchdog ends polling like a cancel, then its error replaces the AbortError
+        let expired = null;
+        const controller = new AbortController();
+        const watchdog = new JobWatchdog(error => {
+            expired = error;
+            controller.abort(error);
+        }, this.getTimeout('timeout_stall'));
+        const pollSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+        watchdog.startPhase('Queue wait', this.getTimeout('timeout_queue'));
+        let inferenceStartedAt = null;
+
+        try {
+            for (;;) {
+                let job = null;
+                try {
+                    const response = await fetch(jobUrl, { cache: 'no-store', signal: pollSignal });
+                    if (!response.ok) {
+                        throw new MegaTts3Error(classifyHttpStatus(response.status), `Bridge job status returned ${response.status} ${response.statusText} (${jobUrl})`);
+                    }
+                    job = await response.json();
+                } catch (error) {
+                    if (isAbortError(error) || error instanceof MegaTts3Error) {
+                        throw error;
+                    }
+                    // A missed poll isn't fatal, the silence limit decides when the bridge is gone
+                    log.debug('⚠️ Bridge job poll failed:', error.message);
+                }
+
+                if (job) {
+                    watchdog.touch();
+                    switch (job.status) {
+                        case 'queued':
+                            this.reportProgress({ stage: 'queued', rank: job.position ?? null, queueSize: job.queue_size ?? null, eta: null }, onProgress);
+                            break;
+                        case 'running':
+                            if (inferenceStartedAt === null) {
+                                log.debug('📊 Bridge started processing');
+                                inferenceStartedAt = Date.now();
+                                watchdog.startPhase('Inference', this.getInferenceTimeout(textLength));
+                            }
+                            this.reportProgress({ stage: 'processing', eta: null, elapsed: (Date.now() - inferenceStartedAt) / 1000 }, onProgress);
+                            break;
+                        case 'done':
+                            log.debug('🎉 Bridge job done');
+                            if (inferenceStartedAt !== null) {
+                                this.recordInferenceSpeed(textLength, (Date.now() - inferenceStartedAt) / 1000, log);
+                            }
+                            return;
+                        case 'failed':
+                            throw new MegaTts3Error(classifyProcessFailure(job.error ?? ''), `MegaTTS3 processing failed: ${job.error || 'no reason given'}`);
+                        default:
+                            throw new MegaTts3Error('unknown', `Bridge job ended as ${job.status}`);
+                    }
+                }
+                await abortableDelay(BRIDGE_POLL_INTERVAL, pollSignal);
+            }
+        } catch (error) {
+            if (expired) {
+                log.error('❌', expired.message);
+                throw expired;
+            }
+            throw error;
+        } finally {
+            watchdog.stop();
+            this.reportProgress({ stage: 'done' }, onProgress);
+        }
+    }
+
+    revokePreviewUrls() {
+        for (const url of this.previewUrls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.previewUrls.clear();
     }
 
     dispose() {
+        this.disposed = true;
+        clearTimeout(this.heartbeatTimer);
+
         // Clean up any pending requests
         this.pendingRequests.clear();
+        this.uploadCache.clear();
+        this.previewAudio?.pause();
+        this.revokePreviewUrls();
     }
 }
\ No newline at end of file
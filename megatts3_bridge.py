@@ -0,0 +1,297 @@
+#!/usr/bin/env python3
+"""
+Local HTTP bridge for MegaTTS3
+Runs MegaTTS3's own inference (tts/infer_cli.py) behind a small JSON job API,
+so SillyTavern can generate speech without Gradio's queue and file uploads.
+
+Run it from the MegaTTS3 folder:
+    python megatts3_bridge.py --voice-dir assets/voices
+Or without a GPU, to try the protocol with a stand-in model that beeps:
+    python megatts3_bridge.py --dummy
+
+Protocol:
+    POST   /v1/jobs            {voice, text, timestep, p_w, t_w} -> 202 {id, status}
+    GET    /v1/jobs/<id>       -> {id, status, position, queue_size, error}
+    GET    /v1/jobs/<id>/audio -> audio/wav once status is "done"
+    DELETE /v1/jobs/<id>       cancels a pending job or frees a finished one
+    GET    /v1/health          -> {status: "ok" | "loading", model, queue_size}
+"""
+
+import argparse
+import http.server
+import io
+import json
+import math
+import os
+import queue
+import threading
+import time
+import traceback
+import uuid
+import wave
+from urllib.parse import unquote, urlparse
+
+# Finished jobs nobody fetched are dropped after this many seconds
+JOB_RETENTION = 10 * 60
+MAX_TEXT_LENGTH = 2000
+
+
+class DummyModel:
+    """Stand-in for MegaTTS3 that takes a moment per character and returns a beep as long as the text."""
+    name = 'dummy'
+    sample_rate = 24000
+
+    def synthesize(self, wav_path, npy_path, text, timestep, p_w, t_w):
+        time.sleep(min(5.0, 0.02 * len(text)))
+        duration = max(0.5, 0.06 * len(text))
+        frames = bytearray()
+        for i in range(int(self.sample_rate * duration)):
+            frames += int(8000 * math.sin(2 * math.pi * 440 * i / self.sample_rate)).to_bytes(2, 'little', signed=True)
+        buffer = io.BytesIO()
+        with wave.open(buffer, 'wb') as output:
+            output.setnchannels(1)
+            output.setsampwidth(2)
+            output.setframerate(self.sample_rate)
+            output.writeframes(bytes(frames))
+        return buffer.getvalue()
+
+
+class MegaTts3Model:
+    """MegaTTS3's inference class, the same one tts/gradio_api.py runs for every request."""
+    name = 'MegaTTS3'
+
+    def __init__(self):
+        from tts.infer_cli import MegaTTS3DiTInfer
+        self.infer = MegaTTS3DiTInfer()
+
+    def synthesize(self, wav_path, npy_path, text, timestep, p_w, t_w):
+        with open(wav_path, 'rb') as file:
+            audio_bytes = file.read()
+        resource_context = self.infer.preprocess(audio_bytes, latent_file=npy_path)
+        return self.infer.forward(resource_context, text, time_step=timestep, p_w=p_w, t_w=t_w)
+
+
+class JobQueue:
+    """Jobs run one at a time on a worker thread, since MegaTTS3 uses the whole GPU."""
+
+    def __init__(self, voice_dir, create_model):
+        self.voice_dir = os.path.realpath(voice_dir)
+        self.create_model = create_model
+        self.model = None
+        self.jobs = {}
+        self.pending = queue.Queue()
+        self.lock = threading.Lock()
+        threading.Thread(target=self.run, daemon=True).start()
+
+    def resolve_voice(self, voice):
+        """Map a voice ID like "english/alice" to its .wav/.npy pair inside the voice folder, or None."""
+        base = os.path.realpath(os.path.join(self.voice_dir, voice))
+        if not base.startswith(self.voice_dir + os.sep):
+            return None
+        wav_path, npy_path = base + '.wav', base + '.npy'
+        if not (os.path.isfile(wav_path) and os.path.isfile(npy_path)):
+            return None
+        return wav_path, npy_path
+
+    def submit(self, request, wav_path, npy_path):
+        job = {
+            'id': uuid.uuid4().hex,
+            'status': 'queued',
+            'error': None,
+            'audio': None,
+            'created': time.time(),
+            'finished': None,
+            'request': request,
+            'files': (wav_path, npy_path),
+        }
+        with self.lock:
+            self.prune()
+            self.jobs[job['id']] = job
+        self.pending.put(job['id'])
+        return job
+
+    def describe(self, job):
+        with self.lock:
+            waiting = [other['id'] for other in self.jobs.values() if other['status'] == 'queued']
+        return {
+            'id': job['id'],
+            'status': job['status'],
+            'position': waiting.index(job['id']) + 1 if job['id'] in waiting else None,
+            'queue_size': len(waiting),
+            'error': job['error'],
+        }
+
+    def cancel(self, job_id):
+        """Forget a job. One already running on the GPU finishes, but its audio is thrown away."""
+        with self.lock:
+            job = self.jobs.pop(job_id, None)
+        if job and job['status'] in ('queued', 'running'):
+            job['status'] = 'cancelled'
+            print(f"🛑 Cancelled job {job_id}")
+        return job is not None
+
+    def prune(self):
+        cutoff = time.time() - JOB_RETENTION
+        for job_id in [job_id for job_id, job in self.jobs.items() if job['finished'] and job['finished'] < cutoff]:
+            del self.jobs[job_id]
+
+    def run(self):
+        try:
+            self.model = self.create_model()
+            print(f"✅ {self.model.name} model loaded, ready for jobs")
+        except Exception:
+            traceback.print_exc()
+            print("❌ Could not load MegaTTS3. Run the bridge from the MegaTTS3 folder in its environment, or use --dummy")
+            os._exit(1)
+
+        while True:
+            job = self.jobs.get(self.pending.get())
+            if not job or job['status'] != 'queued':
+                continue
+            job['status'] = 'running'
+            request = job['request']
+            started = time.time()
+            print(f"🎵 Job {job['id']}: {request['voice']}, {len(request['text'])} characters")
+            try:
+                audio = self.model.synthesize(*job['files'], request['text'], request['timestep'], request['p_w'], request['t_w'])
+                if job['status'] == 'running':
+                    job['audio'] = audio
+                    job['status'] = 'done'
+                    print(f"✅ Job {job['id']} done in {time.time() - started:.1f}s")
+            except Exception as e:
+                traceback.print_exc()
+                job['error'] = str(e) or e.__class__.__name__
+                job['status'] = 'failed'
+            job['finished'] = time.time()
+
+
+class BridgeRequestHandler(http.server.BaseHTTPRequestHandler):
+    jobs = None  # JobQueue, set in main()
+
+    def end_headers(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+        self.send_header('Access-Control-Max-Age', '86400')
+        super().end_headers()
+
+    def send_json(self, code, payload):
+        body = json.dumps(payload).encode('utf-8')
+        self.send_response(code)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Cache-Control', 'no-store')
+        self.end_headers()
+        self.wfile.write(body)
+
+    def route(self):
+        """Split /v1/jobs/<id>/audio into its parts."""
+        parts = [unquote(part) for part in urlparse(self.path).path.strip('/').split('/')]
+        return parts[1:] if parts[0] == 'v1' else None
+
+    def find_job(self, job_id):
+        job = self.jobs.jobs.get(job_id)
+        if not job:
+            self.send_json(404, {'error': f"No job {job_id}, it may have been cancelled or expired"})
+        return job
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.end_headers()
+
+    def do_GET(self):
+        route = self.route()
+        if route == ['health']:
+            self.send_json(200, {
+                'status': 'ok' if self.jobs.model else 'loading',
+                'model': self.jobs.model.name if self.jobs.model else None,
+                'queue_size': self.jobs.pending.qsize(),
+            })
+        elif route and route[0] == 'jobs' and len(route) == 2:
+            job = self.find_job(route[1])
+            if job:
+                self.send_json(200, self.jobs.describe(job))
+        elif route and route[0] == 'jobs' and len(route) == 3 and route[2] == 'audio':
+            job = self.find_job(route[1])
+            if not job:
+                return
+            if job['status'] != 'done':
+                self.send_json(409, {'error': f"Job {job['id']} is {job['status']}, not done"})
+                return
+            self.send_response(200)
+            self.send_header('Content-Type', 'audio/wav')
+            self.send_header('Content-Length', str(len(job['audio'])))
+            self.end_headers()
+            self.wfile.write(job['audio'])
+        else:
+            self.send_json(404, {'error': f"Unknown endpoint {self.path}"})
+
+    def do_POST(self):
+        if self.route() != ['jobs']:
+            self.send_json(404, {'error': f"Unknown endpoint {self.path}"})
+            return
+        try:
+            body = json.loads(self.rfile.read(int(self.headers.get('Content-Length', 0))) or b'{}')
+            request = {
+                'voice': str(body['voice']),
+                'text': str(body['text']).strip(),
+                'timestep': int(body.get('timestep', 32)),
+                'p_w': float(body.get('p_w', 2.0)),
+                't_w': float(body.get('t_w', 3.0)),
+            }
+        except (ValueError, KeyError, TypeError) as e:
+            self.send_json(400, {'error': f"Invalid job request: {e}"})
+            return
+        if not request['text'] or len(request['text']) > MAX_TEXT_LENGTH:
+            self.send_json(400, {'error': f"Text must be 1 to {MAX_TEXT_LENGTH} characters"})
+            return
+
+        files = self.jobs.resolve_voice(request['voice'])
+        if not files:
+            self.send_json(404, {'error': f"Unknown voice '{request['voice']}': no .wav/.npy pair in {self.jobs.voice_dir}"})
+            return
+        job = self.jobs.submit(request, *files)
+        self.send_json(202, self.jobs.describe(job))
+
+    def do_DELETE(self):
+        route = self.route()
+        if not route or route[0] != 'jobs' or len(route) != 2:
+            self.send_json(404, {'error': f"Unknown endpoint {self.path}"})
+            return
+        if self.jobs.cancel(route[1]):
+            self.send_response(204)
+            self.end_headers()
+        else:
+            self.send_json(404, {'error': f"No job {route[1]}"})
+
+    def log_message(self, format, *args):
+        # Status polls arrive twice a second, only log the rest
+        if self.command != 'GET' or '/audio' in self.path or '/health' in self.path:
+            print(f"🔄 {self.address_string()} - [{self.log_date_time_string()}] {format % args}")
+
+
+def main():
+    parser = argparse.ArgumentParser(description='Local HTTP bridge for MegaTTS3 inference')
+    parser.add_argument('--host', default='127.0.0.1', help='address to listen on, 0.0.0.0 for other machines')
+    parser.add_argument('--port', type=int, default=7930)
+    parser.add_argument('--voice-dir', default='assets/voices', help='folder with the .wav/.npy voice pairs')
+    parser.add_argument('--dummy', action='store_true', help='answer with beeps instead of loading MegaTTS3')
+    args = parser.parse_args()
+
+    if not os.path.isdir(args.voice_dir):
+        print(f"❌ Warning: Voice directory '{args.voice_dir}' not found!")
+    BridgeRequestHandler.jobs = JobQueue(args.voice_dir, DummyModel if args.dummy else MegaTts3Model)
+
+    print(f"📁 Voices from: {os.path.realpath(args.voice_dir)}")
+    print(f"🚀 MegaTTS3 bridge running at http://{args.host}:{args.port}/ (set this as Bridge URL)")
+    print("Press Ctrl+C to stop the server")
+    print("=" * 60)
+    try:
+        with http.server.ThreadingHTTPServer((args.host, args.port), BridgeRequestHandler) as httpd:
+            httpd.serve_forever()
+    except KeyboardInterrupt:
+        print("\n🛑 Server stopped by user")
+
+
+if __name__ == "__main__":
+    main()